@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * qr-box-finder command-line entry point; see src/cli.js
+ */
+
+import { main } from '../src/cli.js';
+
+process.exitCode = await main(process.argv.slice(2));
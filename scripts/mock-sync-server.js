@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * Mock Sync Server
+ * A local stand-in for the inventory backend's REST API, for developing and testing sync
+ *
+ *   GET    /pick-orders/:id   Target list of a pick order
+ *   POST   /events            Receive scan/found/picked events ({ events: [...] })
+ *   GET    /events            Events received so far (for checking what the app sent)
+ *   DELETE /events            Forget received events
+ *
+ * Options:
+ *   --port <n>         Port to listen on (default 8787)
+ *   --token <token>    Require "Authorization: Bearer <token>"
+ *   --orders <file>    JSON file mapping order IDs to { name, serials } (default: sample orders)
+ *   --fail-rate <0-1>  Answer this share of event posts with 503, to exercise retries
+ *
+ * Run with: npm run mock-server -- --token secret
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+const SAMPLE_ORDERS = {
+  'PO-1001': { name: 'Sample order: first five boxes', serials: ['BOX-0001', 'BOX-0002', 'BOX-0003', 'BOX-0004', 'BOX-0005'] },
+  'PO-1002': { name: 'Sample order: rack A', serials: ['RACK-01-A', 'RACK-02-A', 'RACK-03-A'] }
+};
+
+// Largest request body accepted (bytes)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    token: { type: 'string', default: '' },
+    orders: { type: 'string' },
+    'fail-rate': { type: 'string', default: '0' }
+  }
+});
+
+const port = Number(values.port);
+const failRate = Number(values['fail-rate']);
+const orders = values.orders ? JSON.parse(await readFile(values.orders, 'utf8')) : SAMPLE_ORDERS;
+const events = [];
+
+/**
+ * Send a JSON response (with CORS headers, as the app runs on another origin)
+ */
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body
+ * @returns {Promise<any>}
+ */
+async function readJSON(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error('Body too large');
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  console.log(`${new Date().toISOString()} ${req.method} ${pathname}`);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  if (values.token && req.headers.authorization !== `Bearer ${values.token}`) {
+    send(res, 401, { error: 'Invalid token' });
+    return;
+  }
+
+  const orderMatch = pathname.match(/^\/pick-orders\/([^/]+)$/);
+  if (orderMatch && req.method === 'GET') {
+    const id = decodeURIComponent(orderMatch[1]);
+    const order = orders[id];
+    if (order) {
+      send(res, 200, { id, ...order });
+    } else {
+      send(res, 404, { error: `No pick order ${id}` });
+    }
+    return;
+  }
+
+  if (pathname === '/events') {
+    if (req.method === 'GET') {
+      send(res, 200, { events });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      events.length = 0;
+      send(res, 204);
+      return;
+    }
+    if (req.method === 'POST') {
+      if (Math.random() < failRate) {
+        send(res, 503, { error: 'Simulated outage' });
+        return;
+      }
+
+      let body;
+      try {
+        body = await readJSON(req);
+      } catch (err) {
+        send(res, 400, { error: `Invalid JSON: ${err.message}` });
+        return;
+      }
+      if (!body || !Array.isArray(body.events)) {
+        send(res, 400, { error: 'Expected { events: [...] }' });
+        return;
+      }
+
+      // Event IDs make retried posts idempotent
+      const known = new Set(events.map(event => event.id));
+      const added = body.events.filter(event => !known.has(event.id));
+      events.push(...added);
+      for (const event of added) {
+        console.log(`  ${event.type} ${event.serial}${event.location ? ` at ${event.location}` : ''}`);
+      }
+      send(res, 200, { received: added.length });
+      return;
+    }
+  }
+
+  send(res, 404, { error: 'Not found' });
+});
+
+server.listen(port, () => {
+  console.log(`Mock sync server on http://localhost:${port}`);
+  console.log(`Pick orders: ${Object.keys(orders).join(', ')}`);
+  if (values.token) {
+    console.log('Requests need the bearer token given with --token');
+  }
+});
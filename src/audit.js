@@ -0,0 +1,158 @@
+/**
+ * Audit Module
+ * Stock-take mode: reconciles every scanned label against an expected manifest
+ */
+
+import { downloadBlob } from './download.js';
+import { toCSV } from './csv.js';
+
+// Audit state
+let auditName = '';
+let expectedSerials = new Set();
+let seenSerials = new Map(); // serial -> { firstSeen, lastSeen, count }
+let startedAt = null;
+
+/**
+ * Start a new audit, discarding any previous results
+ * @param {string[]} manifest - Serial numbers expected at the location
+ * @param {string} name - Shelf or room being audited
+ * @returns {number} - Number of unique expected serials
+ */
+export function startAudit(manifest, name = '') {
+  auditName = name.trim();
+  expectedSerials = new Set(manifest);
+  seenSerials = new Map();
+  startedAt = Date.now();
+  return expectedSerials.size;
+}
+
+/**
+ * Record a valid scan. Called for every decoded label, not only targets.
+ * @param {string} serialNumber
+ * @returns {boolean} - True if this is the first time the serial was seen
+ */
+export function recordAuditScan(serialNumber) {
+  if (startedAt === null) {
+    return false;
+  }
+
+  const now = Date.now();
+  const entry = seenSerials.get(serialNumber);
+
+  if (entry) {
+    entry.lastSeen = now;
+    entry.count++;
+    return false;
+  }
+
+  seenSerials.set(serialNumber, { firstSeen: now, lastSeen: now, count: 1 });
+  return true;
+}
+
+/**
+ * Check if an audit has been started
+ */
+export function isAuditActive() {
+  return startedAt !== null;
+}
+
+/**
+ * Build the reconciliation of expected vs. scanned serials
+ * @returns {{ name: string, startedAt: number | null, generatedAt: number,
+ *   present: string[], missing: string[], unexpected: string[] }}
+ */
+export function getAuditReport() {
+  const present = [];
+  const missing = [];
+  const unexpected = [];
+
+  for (const serial of expectedSerials) {
+    if (seenSerials.has(serial)) {
+      present.push(serial);
+    } else {
+      missing.push(serial);
+    }
+  }
+
+  for (const serial of seenSerials.keys()) {
+    if (!expectedSerials.has(serial)) {
+      unexpected.push(serial);
+    }
+  }
+
+  return {
+    name: auditName,
+    startedAt,
+    generatedAt: Date.now(),
+    present,
+    missing,
+    unexpected
+  };
+}
+
+/**
+ * Serialize the audit report as JSON, including per-serial scan details
+ * @returns {string}
+ */
+export function auditReportToJSON() {
+  const report = getAuditReport();
+  const toISO = (time) => (time === null ? null : new Date(time).toISOString());
+
+  const scans = {};
+  for (const [serial, entry] of seenSerials.entries()) {
+    scans[serial] = {
+      firstSeen: toISO(entry.firstSeen),
+      lastSeen: toISO(entry.lastSeen),
+      count: entry.count
+    };
+  }
+
+  return JSON.stringify({
+    ...report,
+    startedAt: toISO(report.startedAt),
+    generatedAt: toISO(report.generatedAt),
+    scans
+  }, null, 2);
+}
+
+/**
+ * Serialize the audit report as CSV, one row per serial
+ * @returns {string}
+ */
+export function auditReportToCSV() {
+  const report = getAuditReport();
+  const rows = [['serial', 'status', 'first_seen', 'last_seen', 'count']];
+
+  const addRows = (serials, status) => {
+    for (const serial of serials) {
+      const entry = seenSerials.get(serial);
+      rows.push([
+        serial,
+        status,
+        entry ? new Date(entry.firstSeen).toISOString() : '',
+        entry ? new Date(entry.lastSeen).toISOString() : '',
+        entry ? entry.count : 0
+      ]);
+    }
+  };
+
+  addRows(report.present, 'present');
+  addRows(report.missing, 'missing');
+  addRows(report.unexpected, 'unexpected');
+
+  return toCSV(rows);
+}
+
+/**
+ * Trigger audit report download in browser
+ * @param {'csv'|'json'} format
+ */
+export function downloadAuditReport(format) {
+  const base = `audit-${auditName ? auditName.replace(/[^\w.-]+/g, '_') + '-' : ''}${Date.now()}`;
+
+  if (format === 'json') {
+    downloadBlob(new Blob([auditReportToJSON()], { type: 'application/json' }), `${base}.json`);
+  } else {
+    downloadBlob(new Blob([auditReportToCSV()], { type: 'text/csv' }), `${base}.csv`);
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Barcode Detector Factory
+ * Native BarcodeDetector when available, otherwise the zxing-wasm polyfill.
+ * Shared by the scanner (main thread) and the detection worker.
+ */
+
+import {
+  BarcodeDetector as BarcodeDetectorPolyfill,
+  setZXingModuleOverrides
+} from 'barcode-detector/ponyfill';
+import zxingReaderWasmUrl from 'zxing-wasm/reader/zxing_reader.wasm?url';
+
+// Use native BarcodeDetector if available, otherwise use polyfill
+const BarcodeDetector = globalThis.BarcodeDetector || BarcodeDetectorPolyfill;
+
+// Serve the polyfill's WASM from our own build (precached for offline use)
+// instead of the default CDN
+setZXingModuleOverrides({
+  locateFile: (path, prefix) => (path.endsWith('.wasm') ? zxingReaderWasmUrl : prefix + path)
+});
+
+/**
+ * Create a QR code detector
+ * @returns {BarcodeDetector}
+ */
+export function createBarcodeDetector() {
+  return new BarcodeDetector({ formats: ['qr_code'] });
+}
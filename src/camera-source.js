@@ -0,0 +1,236 @@
+/**
+ * Camera Frame Source
+ * Live camera frames for the Scanner, plus the camera's torch, zoom and focus controls
+ *
+ * A frame source has start(), stop() and getFrame(), which returns what the
+ * detector reads (here the <video> element) or null while there is no frame.
+ * Sources shown on screen expose the element the scanner overlay is laid over.
+ */
+
+/**
+ * Open a camera stream, falling back to the back camera if the chosen one is gone
+ * @param {string} deviceId
+ * @returns {Promise<MediaStream>}
+ */
+async function openCameraStream(deviceId) {
+  const resolution = {
+    width: { ideal: 1920 },
+    height: { ideal: 1080 }
+  };
+
+  if (deviceId) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        video: { deviceId: { exact: deviceId }, ...resolution }
+      });
+    } catch (err) {
+      if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') {
+        throw err;
+      }
+      console.warn('Saved camera not available, using the default camera');
+    }
+  }
+
+  return navigator.mediaDevices.getUserMedia({
+    video: { facingMode: 'environment', ...resolution }
+  });
+}
+
+/**
+ * List available cameras. Labels are only filled in after camera permission is granted.
+ * @returns {Promise<{ deviceId: string, label: string }[]>}
+ */
+export async function listCameras() {
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${index + 1}`
+      }));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Check if camera is available
+ */
+export async function checkCameraAvailable() {
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.some(device => device.kind === 'videoinput');
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Frames from a camera, shown in a <video> element inside a container
+ */
+export class CameraFrameSource {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.container - Element the video is shown in
+   * @param {string} options.deviceId - Camera to use (from listCameras); back camera if empty
+   */
+  constructor({ container, deviceId = '' }) {
+    if (!container) {
+      throw new Error('Container element not found');
+    }
+    this.container = container;
+    this.deviceId = deviceId;
+    this.element = null;
+    this.track = null;
+    this.handleTap = this.handleTap.bind(this);
+  }
+
+  /**
+   * Open the camera and show its video
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const video = document.createElement('video');
+    video.setAttribute('playsinline', '');
+    video.setAttribute('autoplay', '');
+    video.style.cssText = 'width:100%;height:auto;display:block;';
+    this.container.innerHTML = '';
+    this.container.style.position = 'relative';
+    this.container.appendChild(video);
+
+    // Tap to focus
+    video.addEventListener('click', this.handleTap);
+
+    const stream = await openCameraStream(this.deviceId);
+    video.srcObject = stream;
+    this.track = stream.getVideoTracks()[0] || null;
+    this.element = video;
+    await video.play();
+  }
+
+  /**
+   * Release the camera
+   */
+  stop() {
+    const video = this.element;
+    if (video) {
+      if (video.srcObject) {
+        video.srcObject.getTracks().forEach(track => track.stop());
+        video.srcObject = null;
+      }
+      video.removeEventListener('click', this.handleTap);
+    }
+    this.track = null;
+  }
+
+  /**
+   * The video element once it has a frame
+   * @returns {HTMLVideoElement|null}
+   */
+  getFrame() {
+    return this.element && this.element.videoWidth ? this.element : null;
+  }
+
+  // Frame size in px
+  get width() {
+    return this.element ? this.element.videoWidth : 0;
+  }
+
+  get height() {
+    return this.element ? this.element.videoHeight : 0;
+  }
+
+  /**
+   * Get what the camera supports
+   * @returns {{ deviceId: string|null, torch: boolean, zoom: { min: number, max: number, step: number }|null,
+   *   focus: boolean, settings: { torch?: boolean, zoom?: number } }}
+   */
+  getCapabilities() {
+    const none = { deviceId: null, torch: false, zoom: null, focus: false, settings: {} };
+    if (!this.track || typeof this.track.getCapabilities !== 'function') {
+      return none;
+    }
+
+    const capabilities = this.track.getCapabilities();
+    const current = this.track.getSettings();
+    const focusModes = capabilities.focusMode || [];
+
+    return {
+      deviceId: current.deviceId || null,
+      torch: capabilities.torch === true,
+      zoom: capabilities.zoom
+        ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1 }
+        : null,
+      focus: focusModes.includes('single-shot') || focusModes.includes('continuous'),
+      settings: { torch: current.torch, zoom: current.zoom }
+    };
+  }
+
+  /**
+   * Apply advanced constraints to the camera
+   * @param {object} constraints
+   * @returns {Promise<boolean>} - False if there is no camera or the constraint was rejected
+   */
+  async applyConstraints(constraints) {
+    if (!this.track) {
+      return false;
+    }
+    try {
+      await this.track.applyConstraints({ advanced: [constraints] });
+      return true;
+    } catch (err) {
+      console.warn('Camera constraint not applied:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Turn the flash/torch on or off
+   * @param {boolean} on
+   * @returns {Promise<boolean>}
+   */
+  setTorch(on) {
+    if (!this.getCapabilities().torch) {
+      return Promise.resolve(false);
+    }
+    return this.applyConstraints({ torch: on });
+  }
+
+  /**
+   * Set the camera zoom, clamped to the supported range
+   * @param {number} zoom
+   * @returns {Promise<boolean>}
+   */
+  setZoom(zoom) {
+    const range = this.getCapabilities().zoom;
+    if (!range) {
+      return Promise.resolve(false);
+    }
+    return this.applyConstraints({ zoom: Math.min(range.max, Math.max(range.min, zoom)) });
+  }
+
+  /**
+   * Focus on a point of the video
+   * @param {number} x - 0..1 from the left
+   * @param {number} y - 0..1 from the top
+   * @returns {Promise<boolean>}
+   */
+  async focusAt(x, y) {
+    if (!this.getCapabilities().focus) {
+      return false;
+    }
+
+    // pointsOfInterest isn't supported everywhere; a single-shot refocus still helps
+    const focused = await this.applyConstraints({ focusMode: 'single-shot', pointsOfInterest: [{ x, y }] });
+    return focused || this.applyConstraints({ focusMode: 'single-shot' });
+  }
+
+  /**
+   * Tap on the video: focus on the tapped point
+   */
+  handleTap(event) {
+    const rect = this.element.getBoundingClientRect();
+    this.focusAt((event.clientX - rect.left) / rect.width, (event.clientY - rect.top) / rect.height);
+  }
+}
@@ -0,0 +1,401 @@
+/**
+ * Command-line Interface
+ * Generates label files and decodes payloads in Node, without a browser
+ *
+ * Uses the same range expansion, file import, label layout and payload
+ * code as the web app. Settings are not read from anywhere; every option
+ * is given on the command line (the signing key may come from the
+ * QR_BOX_FINDER_KEY environment variable to keep it out of shell history).
+ *
+ * Exit codes: 0 on success, 1 on invalid input (serials, files, payloads),
+ * 2 on bad usage.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { generateLabels, OUTPUT_FORMATS, MAX_COPIES } from './generator.js';
+import { ZPL_RESOLUTIONS } from './label-formats.js';
+import { MAX_TEMPLATE_LINES } from './label-template.js';
+import { LAYOUT_PRESETS, DEFAULT_LAYOUT_ID, resolveLayout } from './layouts.js';
+import { LABEL_TYPES, verifyQRPayload } from './qr-utils.js';
+import { readSpreadsheet, detectHeader, getColumnNames, guessSerialColumn, mapImportedRows } from './serial-import.js';
+import { formatSerialList } from './serial-ranges.js';
+import { getPayloadOptions } from './settings.js';
+import { setUnicodeFontLoader } from './fonts.js';
+
+export const EXIT_OK = 0;
+export const EXIT_INVALID = 1;
+export const EXIT_USAGE = 2;
+
+const KEY_ENV = 'QR_BOX_FINDER_KEY';
+const SPREADSHEET_EXTENSIONS = ['.csv', '.tsv', '.xlsx', '.xls'];
+
+const USAGE = `Usage:
+  qr-box-finder generate --out <file> [options]
+  qr-box-finder decode [options] <payload>...
+  qr-box-finder layouts
+
+generate: write labels for serials read from --in (or standard input)
+  --in <file>           Serial list: .csv, .tsv or .xlsx (column import), anything
+                        else as text with one serial or range per line
+  --out <file>          Output file, - for standard output
+  --format <format>     pdf, svg (zip) or zpl; defaults to the --out extension
+  --layout <id|file>    Layout preset (see "layouts") or a JSON layout file (default ${DEFAULT_LAYOUT_ID})
+  --type <type>         box or location (default box)
+  --encoding <enc>      json, compact or url (default json)
+  --namespace <ns>      Payload namespace
+  --key <key>           HMAC signing key (or $${KEY_ENV})
+  --base-url <url>      App URL for url-encoded labels
+  --column <name|n>     Serial column of a spreadsheet (name or 1-based number)
+  --header, --no-header Whether the spreadsheet has a header row (detected by default)
+  --fields <a,b,...>    Spreadsheet columns available as {placeholders}
+  --line <text>         Extra text line, up to ${MAX_TEMPLATE_LINES} (repeatable)
+  --barcode             Code 128 barcode of the serial under the QR code
+  --wrap                Wrap long serials onto two lines instead of shrinking them
+  --copies <n>          Labels per serial (PDF and ZPL)
+  --skip <n>            Cells to skip on the first sheet (PDF)
+  --dpi <dpi>           ZPL printer resolution: ${Object.keys(ZPL_RESOLUTIONS).join(' or ')}
+  --quiet               No progress output
+
+decode: check payloads given as arguments, or one per line on standard input with -
+  --namespace <ns>      Accepted namespace (repeatable; any if omitted)
+  --key <key>           HMAC key to verify signatures (or $${KEY_ENV})
+  --require-signature   Reject unsigned labels
+  --no-legacy           Reject v1 labels
+  --json                Print one JSON result per payload
+`;
+
+/**
+ * Error caused by the command line rather than the input data
+ */
+class UsageError extends Error {}
+
+/**
+ * Load the label font from node_modules instead of fetching a bundler URL
+ */
+function useLocalFont() {
+  const require = createRequire(import.meta.url);
+  setUnicodeFontLoader(async () => {
+    const path = require.resolve('@expo-google-fonts/nanum-gothic/400Regular/NanumGothic_400Regular.ttf');
+    return new Uint8Array(await readFile(path));
+  });
+}
+
+/**
+ * Read all of standard input as text
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Parse a whole number option within a range
+ */
+function parseCount(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new UsageError(`--${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Resolve --layout: a preset id or a JSON file with a layout object
+ * @param {string} value
+ * @returns {Promise<object>} - Resolved layout
+ */
+async function loadLayout(value) {
+  if (LAYOUT_PRESETS[value]) {
+    return resolveLayout(LAYOUT_PRESETS[value]);
+  }
+  if (extname(value).toLowerCase() !== '.json') {
+    throw new UsageError(`Unknown layout "${value}"; run "qr-box-finder layouts" for the presets`);
+  }
+
+  let layout;
+  try {
+    layout = JSON.parse(await readFile(value, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read layout file ${value}: ${err.message}`);
+  }
+  return resolveLayout(layout);
+}
+
+/**
+ * Find a spreadsheet column by title or 1-based number
+ * @returns {number} - Column index
+ */
+function findColumn(names, value) {
+  const byName = names.indexOf(value);
+  if (byName !== -1) {
+    return byName;
+  }
+  const number = Number(value);
+  if (Number.isInteger(number) && number >= 1 && number <= names.length) {
+    return number - 1;
+  }
+  throw new UsageError(`No column "${value}"; columns are: ${names.join(', ')}`);
+}
+
+/**
+ * Read the serial list and any imported columns
+ * @param {object} values - Parsed options
+ * @returns {Promise<{ input: string, labelFields: Record<string, Record<string, string>> }>}
+ */
+async function readSerials(values) {
+  const path = values.in;
+  if (!path || path === '-') {
+    return { input: await readStdin(), labelFields: {} };
+  }
+
+  let data;
+  try {
+    data = await readFile(path);
+  } catch (err) {
+    throw new Error(`Could not read ${path}: ${err.message}`);
+  }
+
+  if (!SPREADSHEET_EXTENSIONS.includes(extname(path).toLowerCase())) {
+    return { input: data.toString('utf8'), labelFields: {} };
+  }
+
+  const rows = await readSpreadsheet(new File([data], basename(path)));
+  if (rows.length === 0) {
+    throw new Error(`${path} has no rows`);
+  }
+
+  const hasHeader = values['no-header'] ? false : values.header || detectHeader(rows);
+  const names = getColumnNames(rows, hasHeader);
+  const serialColumn = values.column ? findColumn(names, values.column) : guessSerialColumn(rows, hasHeader);
+  const extraColumns = (values.fields || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => findColumn(names, name))
+    .filter(col => col !== serialColumn);
+
+  const { records, duplicates } = mapImportedRows(rows, { hasHeader, serialColumn, extraColumns });
+  if (duplicates.length > 0) {
+    process.stderr.write(`Skipped ${duplicates.length} duplicate serial(s), e.g. ${duplicates[0]}\n`);
+  }
+
+  const labelFields = {};
+  for (const { serial, fields } of records) {
+    labelFields[serial] = fields;
+  }
+  // Imported cells are serials as they are, not ranges or lists
+  return { input: formatSerialList(records.map(record => record.serial)), labelFields };
+}
+
+/**
+ * generate command
+ * @param {string[]} args
+ * @returns {Promise<number>} - Exit code
+ */
+async function runGenerate(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      in: { type: 'string' },
+      out: { type: 'string' },
+      format: { type: 'string' },
+      layout: { type: 'string', default: DEFAULT_LAYOUT_ID },
+      type: { type: 'string', default: 'box' },
+      encoding: { type: 'string', default: 'json' },
+      namespace: { type: 'string' },
+      key: { type: 'string' },
+      'base-url': { type: 'string' },
+      column: { type: 'string' },
+      header: { type: 'boolean' },
+      'no-header': { type: 'boolean' },
+      fields: { type: 'string' },
+      line: { type: 'string', multiple: true },
+      barcode: { type: 'boolean' },
+      wrap: { type: 'boolean' },
+      copies: { type: 'string', default: '1' },
+      skip: { type: 'string', default: '0' },
+      dpi: { type: 'string', default: '203' },
+      quiet: { type: 'boolean' }
+    }
+  });
+
+  if (positionals.length > 0) {
+    throw new UsageError(`Unexpected argument: ${positionals[0]}`);
+  }
+  if (!values.out) {
+    throw new UsageError('--out is required');
+  }
+
+  const extension = extname(values.out).slice(1).toLowerCase();
+  const format = values.format || Object.keys(OUTPUT_FORMATS).find(id => id === extension) || (extension === 'zip' ? 'svg' : 'pdf');
+  if (format === 'png') {
+    throw new UsageError('PNG output needs a browser canvas; use svg, pdf or zpl');
+  }
+  if (!OUTPUT_FORMATS[format]) {
+    throw new UsageError(`Unknown format "${format}"; use pdf, svg or zpl`);
+  }
+  if (!LABEL_TYPES.includes(values.type)) {
+    throw new UsageError(`--type must be one of ${LABEL_TYPES.join(', ')}`);
+  }
+  if (!['json', 'compact', 'url'].includes(values.encoding)) {
+    throw new UsageError('--encoding must be json, compact or url');
+  }
+  if (!ZPL_RESOLUTIONS[values.dpi]) {
+    throw new UsageError(`--dpi must be ${Object.keys(ZPL_RESOLUTIONS).join(' or ')}`);
+  }
+  const lines = values.line || [];
+  if (lines.length > MAX_TEMPLATE_LINES) {
+    throw new UsageError(`At most ${MAX_TEMPLATE_LINES} --line options`);
+  }
+
+  const layout = await loadLayout(values.layout);
+  const copies = parseCount(values.copies, 'copies', 1, MAX_COPIES);
+  const startOffset = parseCount(values.skip, 'skip', 0, layout.perPage - 1);
+  const { input, labelFields } = await readSerials(values);
+
+  const defaults = getPayloadOptions();
+  const payloadOptions = {
+    ...defaults,
+    namespace: values.namespace || defaults.namespace,
+    key: values.key || process.env[KEY_ENV] || '',
+    encoding: values.encoding,
+    baseUrl: values['base-url'] || ''
+  };
+  const template = { lines, logo: null, barcode: Boolean(values.barcode), textFit: values.wrap ? 'wrap' : 'shrink' };
+
+  const showProgress = !values.quiet && process.stderr.isTTY;
+  const blob = await generateLabels(input, showProgress ? (current, total) => {
+    process.stderr.write(`\rGenerating ${current} / ${total}`);
+  } : null, layout, {
+    format,
+    labelType: values.type,
+    labelFields,
+    template,
+    payloadOptions,
+    dpi: Number(values.dpi),
+    copies,
+    startOffset
+  });
+  if (showProgress) {
+    process.stderr.write('\n');
+  }
+
+  const data = Buffer.from(await blob.arrayBuffer());
+  if (values.out === '-') {
+    process.stdout.write(data);
+  } else {
+    await writeFile(values.out, data);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * decode command
+ * @param {string[]} args
+ * @returns {Promise<number>} - Exit code
+ */
+async function runDecode(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      namespace: { type: 'string', multiple: true },
+      key: { type: 'string' },
+      'require-signature': { type: 'boolean' },
+      'no-legacy': { type: 'boolean' },
+      json: { type: 'boolean' }
+    }
+  });
+
+  if (positionals.length === 0) {
+    throw new UsageError('Give at least one payload, or - to read them from standard input');
+  }
+
+  const payloads = [];
+  for (const arg of positionals) {
+    if (arg === '-') {
+      payloads.push(...(await readStdin()).split(/\r?\n/).filter(line => line.trim()));
+    } else {
+      payloads.push(arg);
+    }
+  }
+
+  const options = {
+    namespaces: values.namespace || null,
+    acceptLegacy: !values['no-legacy'],
+    key: values.key || process.env[KEY_ENV] || '',
+    requireSignature: Boolean(values['require-signature'])
+  };
+
+  let allValid = true;
+  for (const payload of payloads) {
+    const result = await verifyQRPayload(payload, options);
+    allValid = allValid && result.valid;
+
+    if (values.json) {
+      process.stdout.write(`${JSON.stringify(result)}\n`);
+    } else if (result.valid) {
+      const signature = result.verified ? 'signature verified' : result.signature ? 'signed, not verified' : 'unsigned';
+      process.stdout.write(`${result.serialNumber}\t${result.type}\t${result.namespace}\tv${result.version}\t${result.encoding}\t${signature}\n`);
+    } else {
+      process.stdout.write(`invalid\t${result.error}\n`);
+    }
+  }
+
+  return allValid ? EXIT_OK : EXIT_INVALID;
+}
+
+/**
+ * layouts command: list the presets
+ * @returns {number} - Exit code
+ */
+function runLayouts() {
+  for (const [id, preset] of Object.entries(LAYOUT_PRESETS)) {
+    const layout = resolveLayout(preset);
+    process.stdout.write(`${id}\t${layout.cols}x${layout.rows}\t${layout.name}\n`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Promise<number>} - Exit code
+ */
+export async function main(argv) {
+  const [command, ...args] = argv;
+  useLocalFont();
+
+  try {
+    switch (command) {
+      case 'generate':
+        return await runGenerate(args);
+      case 'decode':
+        return await runDecode(args);
+      case 'layouts':
+        return runLayouts();
+      case 'help':
+      case '--help':
+      case '-h':
+        process.stdout.write(USAGE);
+        return EXIT_OK;
+      default:
+        throw new UsageError(command ? `Unknown command "${command}"` : 'No command given');
+    }
+  } catch (err) {
+    // parseArgs reports unknown and malformed options with ERR_PARSE_ARGS_* codes
+    const usage = err instanceof UsageError || (err.code || '').startsWith('ERR_PARSE_ARGS');
+    process.stderr.write(`qr-box-finder: ${err.message}\n`);
+    if (usage) {
+      process.stderr.write(`\n${USAGE}`);
+    }
+    return usage ? EXIT_USAGE : EXIT_INVALID;
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Clocks
+ * Time sources for the scanner, so its timing can be driven by hand
+ *
+ * A clock has now() in ms plus setTimeout/clearTimeout. The system clock
+ * uses the real timers; a manual clock only moves when advance() is called,
+ * which lets demos and tests step through a scan deterministically.
+ */
+
+/**
+ * Real time
+ */
+export const systemClock = {
+  now: () => performance.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: id => clearTimeout(id)
+};
+
+/**
+ * Create a clock that only advances when told to
+ * @param {number} start - Initial time, ms
+ * @returns {{ now: function(): number, setTimeout: function(function, number): number,
+ *   clearTimeout: function(number), advance: function(number): Promise<void> }}
+ */
+export function createManualClock(start = 0) {
+  let time = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, callback }
+
+  // Let promise chains started by a timer (e.g. an async detection) settle
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  return {
+    now: () => time,
+
+    setTimeout(callback, ms = 0) {
+      const id = nextId++;
+      timers.set(id, { at: time + Math.max(0, ms), callback });
+      return id;
+    },
+
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+
+    /**
+     * Move time forward, running due timers in order
+     * @param {number} ms
+     */
+    async advance(ms) {
+      const end = time + ms;
+
+      for (;;) {
+        let due = null;
+        for (const [id, timer] of timers) {
+          if (timer.at <= end && (!due || timer.at < due.at)) {
+            due = { id, ...timer };
+          }
+        }
+        if (!due) break;
+
+        timers.delete(due.id);
+        time = due.at;
+        due.callback();
+        await settle();
+      }
+
+      time = end;
+      await settle();
+    }
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Code 128 Encoder
+ * Encodes printable ASCII as a Code 128 bar pattern for human-readable labels
+ *
+ * Text is encoded in code set B, switching to code set C (two digits per
+ * symbol) for long digit runs, which keeps numeric serials short.
+ */
+
+// Bar/space widths in modules for symbol values 0-106 (106 is the stop symbol)
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START_B = 104;
+const START_C = 105;
+const CODE_B = 100;
+const CODE_C = 99;
+const STOP = 106;
+
+// Digit runs at least this long are worth switching to code set C
+const MIN_DIGIT_RUN = 6;
+
+/**
+ * Check if text can be encoded (printable ASCII only)
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function canEncodeCode128(text) {
+  return text.length > 0 && /^[\x20-\x7E]+$/.test(text);
+}
+
+/**
+ * Length of the run of digits starting at an index
+ */
+function digitRunLength(text, start) {
+  let end = start;
+  while (end < text.length && text[end] >= '0' && text[end] <= '9') {
+    end++;
+  }
+  return end - start;
+}
+
+/**
+ * Convert text to Code 128 symbol values, including start and checksum but not stop
+ * @param {string} text
+ * @returns {number[]}
+ */
+function toSymbolValues(text) {
+  const values = [];
+  const allDigits = digitRunLength(text, 0) === text.length;
+  let codeSet = allDigits && text.length >= 2 && text.length % 2 === 0 ? 'C' : 'B';
+  values.push(codeSet === 'C' ? START_C : START_B);
+
+  let i = 0;
+  while (i < text.length) {
+    const run = digitRunLength(text, i);
+
+    if (codeSet === 'B' && run >= MIN_DIGIT_RUN) {
+      // Keep an odd leading digit in set B so set C gets whole pairs
+      if (run % 2 === 1) {
+        values.push(text.charCodeAt(i) - 32);
+        i++;
+      }
+      values.push(CODE_C);
+      codeSet = 'C';
+    }
+
+    if (codeSet === 'C') {
+      if (digitRunLength(text, i) >= 2) {
+        values.push(Number(text.slice(i, i + 2)));
+        i += 2;
+        continue;
+      }
+      values.push(CODE_B);
+      codeSet = 'B';
+    }
+
+    values.push(text.charCodeAt(i) - 32);
+    i++;
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * Math.max(1, index), 0) % 103;
+  values.push(checksum);
+  return values;
+}
+
+/**
+ * Encode text as alternating bar and space widths (starting with a bar), without quiet zones
+ * @param {string} text - Printable ASCII
+ * @returns {number[]} - Widths in modules
+ * @throws {Error} - If the text contains characters Code 128 can't encode here
+ */
+export function encodeCode128(text) {
+  if (!canEncodeCode128(text)) {
+    throw new Error(`"${text}" can't be encoded as Code 128 (printable ASCII only)`);
+  }
+
+  return [...toSymbolValues(text), STOP]
+    .flatMap(value => PATTERNS[value].split('').map(Number));
+}
+
+/**
+ * Total width of an encoded barcode
+ * @param {number[]} widths - From encodeCode128
+ * @returns {number} - Modules
+ */
+export function getCode128Width(widths) {
+  return widths.reduce((sum, width) => sum + width, 0);
+}
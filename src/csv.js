@@ -0,0 +1,102 @@
+/**
+ * CSV Helpers
+ * Serializes rows for spreadsheet exports and parses imported CSV files
+ */
+
+/**
+ * Quote a CSV field if needed
+ * @param {string|number} value
+ * @returns {string}
+ */
+export function csvField(value) {
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize rows as CSV with CRLF line endings
+ * @param {Array<Array<string|number>>} rows - Header row first
+ * @returns {string}
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Guess the delimiter of a CSV/TSV file from its first line
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [',', ';', '\t'];
+  let best = ',';
+  let bestCount = 0;
+
+  for (const delimiter of candidates) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text into rows (RFC 4180 quoting, CRLF or LF line endings)
+ * @param {string} text
+ * @param {string} delimiter - Detected from the first line if omitted
+ * @returns {string[][]} - Rows of trimmed cells, without blank lines
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(cell => cell.trim() !== '')) {
+      rows.push(row.map(cell => cell.trim()));
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
@@ -0,0 +1,77 @@
+/**
+ * Detection Worker
+ * Runs QR detection off the main thread on frames sent as ImageBitmaps
+ *
+ * Request:  { id, bitmap, offsetX, offsetY, scale }
+ *   bitmap is the (optionally cropped) frame; it is downscaled by `scale`
+ *   on an OffscreenCanvas before detection.
+ * Response: { id, barcodes, detectMs } or { id, error }
+ *   barcode coordinates are mapped back to full video frame pixels.
+ */
+
+import { createBarcodeDetector } from './barcode-detector.js';
+
+const detector = createBarcodeDetector();
+
+// Reused canvas for downscaling
+let canvas = null;
+let canvasCtx = null;
+
+/**
+ * Downscale a frame on an OffscreenCanvas
+ * @param {ImageBitmap} bitmap
+ * @param {number} scale
+ * @returns {ImageData}
+ */
+function downscale(bitmap, scale) {
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    canvasCtx = canvas.getContext('2d', { willReadFrequently: true });
+  } else if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  canvasCtx.drawImage(bitmap, 0, 0, width, height);
+  return canvasCtx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Convert a detected barcode to a plain object in video frame coordinates
+ */
+function toFrameCoordinates(barcode, offsetX, offsetY, scale) {
+  const mapPoint = (p) => ({ x: offsetX + p.x / scale, y: offsetY + p.y / scale });
+  const box = barcode.boundingBox;
+
+  return {
+    rawValue: barcode.rawValue,
+    cornerPoints: (barcode.cornerPoints || []).map(mapPoint),
+    boundingBox: box
+      ? { x: offsetX + box.x / scale, y: offsetY + box.y / scale, width: box.width / scale, height: box.height / scale }
+      : null
+  };
+}
+
+self.onmessage = async (event) => {
+  const { id, bitmap, offsetX = 0, offsetY = 0, scale = 1 } = event.data;
+  const start = performance.now();
+
+  try {
+    const source = scale < 1 && typeof OffscreenCanvas !== 'undefined' ? downscale(bitmap, scale) : bitmap;
+    const effectiveScale = source === bitmap ? 1 : scale;
+    const barcodes = await detector.detect(source);
+
+    self.postMessage({
+      id,
+      barcodes: barcodes.map(b => toFrameCoordinates(b, offsetX, offsetY, effectiveScale)),
+      detectMs: performance.now() - start
+    });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  } finally {
+    bitmap.close();
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Download Helper
+ * Triggers browser downloads for generated files
+ */
+
+/**
+ * Trigger a download of a blob in the browser
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
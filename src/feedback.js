@@ -0,0 +1,130 @@
+/**
+ * Scan Feedback
+ * Vibration, Web Audio tones and spoken serials for scanner hits
+ */
+
+// Tones (Hz, ms): targets get a bright two-note chirp, other labels a short low blip
+const TONES = {
+  target: [{ frequency: 880, duration: 90 }, { frequency: 1320, duration: 140 }],
+  label: [{ frequency: 440, duration: 50 }]
+};
+
+let audioContext = null;
+
+/**
+ * Get the shared AudioContext, creating it on first use
+ * @returns {AudioContext|null}
+ */
+function getAudioContext() {
+  if (!audioContext) {
+    const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!AudioContextClass) {
+      return null;
+    }
+    audioContext = new AudioContextClass();
+  }
+  return audioContext;
+}
+
+/**
+ * Allow sound to play later. Browsers (iOS Safari in particular) only start
+ * audio from a user gesture, so call this from a click handler.
+ */
+export function unlockAudio() {
+  const ctx = getAudioContext();
+  if (ctx && ctx.state === 'suspended') {
+    ctx.resume().catch(() => {});
+  }
+}
+
+/**
+ * Play a feedback tone
+ * @param {'target'|'label'} kind
+ * @param {number} volume - 0 to 1
+ */
+export function playTone(kind, volume = 0.5) {
+  const ctx = getAudioContext();
+  if (!ctx || ctx.state !== 'running') {
+    return;
+  }
+
+  let start = ctx.currentTime;
+  for (const { frequency, duration } of TONES[kind]) {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    const end = start + duration / 1000;
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+
+    // Short ramps avoid clicks at the start and end of the note
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(volume, start + 0.01);
+    gain.gain.linearRampToValueAtTime(0, end);
+
+    oscillator.connect(gain);
+    gain.connect(ctx.destination);
+    oscillator.start(start);
+    oscillator.stop(end);
+    start = end;
+  }
+}
+
+/**
+ * Read a serial number out loud
+ * @param {string} serialNumber
+ */
+export function speakSerial(serialNumber) {
+  if (!globalThis.speechSynthesis) {
+    return;
+  }
+
+  // Spell out the serial so "BOX-0012" is not read as a word and a number
+  const text = Array.from(serialNumber.replace(/[-_]/g, ' ')).join(' ');
+  const utterance = new SpeechSynthesisUtterance(`Found ${text}`);
+  utterance.rate = 1.1;
+
+  // Don't queue up a backlog when several boxes are found at once
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+}
+
+/**
+ * Feedback for a newly found target
+ * @param {string} serialNumber
+ * @param {{ vibrate: boolean, sound: boolean, speak: boolean, volume: number }} options
+ */
+export function foundFeedback(serialNumber, options) {
+  if (options.vibrate && navigator.vibrate) {
+    navigator.vibrate(200);
+  }
+  if (options.sound) {
+    playTone('target', options.volume);
+  }
+  if (options.speak) {
+    speakSerial(serialNumber);
+  }
+}
+
+/**
+ * Short confirmation, e.g. when put-away records a box
+ * @param {{ vibrate: boolean, sound: boolean, volume: number }} options
+ */
+export function confirmFeedback(options) {
+  if (options.vibrate && navigator.vibrate) {
+    navigator.vibrate(80);
+  }
+  if (options.sound) {
+    playTone('label', options.volume);
+  }
+}
+
+/**
+ * Feedback for a valid label that is not a search target
+ * @param {{ labelSound: boolean, volume: number }} options
+ */
+export function labelFeedback(options) {
+  if (options.labelSound) {
+    playTone('label', options.volume);
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Label Fonts
+ * Embeds a Unicode (Hangul-capable) TTF font in jsPDF documents when needed,
+ * and loads it for canvas text (non-Latin ZPL text is drawn as a graphic)
+ */
+
+export const UNICODE_FONT = 'NanumGothic';
+const UNICODE_FONT_FILE = 'NanumGothic-Regular.ttf';
+
+// Font file as a binary string, loaded once
+let fontDataPromise = null;
+
+// Font registered with the page's (or worker's) font set, loaded once
+let fontFacePromise = null;
+
+/**
+ * Check if text needs a font beyond the built-in Latin-1 PDF fonts
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function needsUnicodeFont(text) {
+  return /[^\u0000-\u00FF]/.test(text);
+}
+
+/**
+ * Fetch the bundled font file
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchFontBytes() {
+  // Imported lazily so the ~2MB font is only downloaded when a label needs it
+  const { default: url } = await import('@expo-google-fonts/nanum-gothic/400Regular/NanumGothic_400Regular.ttf?url');
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load label font (${response.status})`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+let loadFontBytes = fetchFontBytes;
+
+/**
+ * Replace how the font file is loaded, e.g. from disk in the Node CLI,
+ * where there is no bundler to resolve the font URL
+ * @param {function(): Promise<Uint8Array>} loader
+ */
+export function setUnicodeFontLoader(loader) {
+  loadFontBytes = loader;
+  fontDataPromise = null;
+  fontFacePromise = null;
+}
+
+/**
+ * Load the font file as a binary string, the form jsPDF's VFS takes
+ * @returns {Promise<string>}
+ */
+async function loadFontData() {
+  const bytes = await loadFontBytes();
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return binary;
+}
+
+/**
+ * Register the Unicode font with a jsPDF document.
+ * jsPDF subsets embedded fonts, so only the glyphs used end up in the file.
+ * @param {import('jspdf').jsPDF} pdf
+ * @returns {Promise<string>} - Font name for pdf.setFont()
+ */
+export async function registerUnicodeFont(pdf) {
+  if (!fontDataPromise) {
+    fontDataPromise = loadFontData().catch((err) => {
+      fontDataPromise = null;
+      throw err;
+    });
+  }
+
+  pdf.addFileToVFS(UNICODE_FONT_FILE, await fontDataPromise);
+  pdf.addFont(UNICODE_FONT_FILE, UNICODE_FONT, 'normal');
+  return UNICODE_FONT;
+}
+
+/**
+ * Make the Unicode font available to canvas text, on the page or in a worker
+ * @returns {Promise<string>} - CSS font family list to draw with
+ */
+export async function loadUnicodeFontFace() {
+  const fontSet = globalThis.document ? globalThis.document.fonts : globalThis.fonts;
+  if (typeof FontFace === 'undefined' || !fontSet) {
+    return 'sans-serif';
+  }
+
+  if (!fontFacePromise) {
+    fontFacePromise = loadFontBytes()
+      .then(bytes => new FontFace(UNICODE_FONT, bytes).load())
+      .then(face => fontSet.add(face))
+      .catch((err) => {
+        fontFacePromise = null;
+        throw err;
+      });
+  }
+
+  await fontFacePromise;
+  return `"${UNICODE_FONT}", sans-serif`;
+}
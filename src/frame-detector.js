@@ -0,0 +1,180 @@
+/**
+ * Frame Detector
+ * Detects QR codes in video frames, in a Web Worker when supported
+ *
+ * Frames are captured as ImageBitmaps (optionally cropped to a region of
+ * interest) and transferred to the detection worker, which downscales them
+ * on an OffscreenCanvas. Without worker support, detection falls back to
+ * the main thread on the full frame.
+ */
+
+// Give up on a worker response after this long (ms)
+const WORKER_TIMEOUT_MS = 5000;
+
+// Timeouts in a row (each with a fresh worker) before falling back to the main thread.
+// A slow device may not even get the WASM detector loaded in time.
+const MAX_WORKER_TIMEOUTS = 3;
+
+// Worker state
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+let workerTimeouts = 0;
+const pendingRequests = new Map(); // id -> { resolve, reject, timeoutId }
+
+// Main-thread fallback detector
+let mainThreadDetector = null;
+
+/**
+ * Check if frames can be detected in a worker
+ */
+function canUseWorker() {
+  return !workerFailed &&
+    typeof Worker !== 'undefined' &&
+    typeof createImageBitmap === 'function' &&
+    typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Reject all pending requests and terminate the worker; the next frame starts a new one
+ * @param {string} reason
+ */
+function stopWorker(reason) {
+  for (const { reject, timeoutId } of pendingRequests.values()) {
+    clearTimeout(timeoutId);
+    reject(new Error(reason));
+  }
+  pendingRequests.clear();
+
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+}
+
+/**
+ * Reject all pending requests and stop using the worker
+ * @param {string} reason
+ */
+function failWorker(reason) {
+  console.warn('Detection worker unavailable, using main thread:', reason);
+  workerFailed = true;
+  stopWorker(reason);
+}
+
+/**
+ * Get the detection worker, starting it on first use
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./detector-worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const { id, barcodes, error } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      workerTimeouts = 0;
+      pendingRequests.delete(id);
+      clearTimeout(request.timeoutId);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(barcodes);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      failWorker(event.message || 'Worker error');
+    };
+  }
+  return worker;
+}
+
+/**
+ * Send a frame to the worker
+ * @returns {Promise<object[]>}
+ */
+function detectInWorker(bitmap, offsetX, offsetY, scale) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    // A stuck worker would keep decoding while new frames queue up behind
+    // it, so it is replaced rather than sent more work. If replacements time
+    // out too, detection moves to the main thread.
+    const timeoutId = setTimeout(() => {
+      workerTimeouts++;
+      if (workerTimeouts >= MAX_WORKER_TIMEOUTS) {
+        failWorker(`Detection timed out ${workerTimeouts} times in a row`);
+      } else {
+        stopWorker('Detection timed out');
+      }
+    }, WORKER_TIMEOUT_MS);
+
+    pendingRequests.set(id, { resolve, reject, timeoutId });
+    getWorker().postMessage({ id, bitmap, offsetX, offsetY, scale }, [bitmap]);
+  });
+}
+
+/**
+ * Get the crop rectangle for a region of interest
+ * @param {HTMLVideoElement} video
+ * @param {number} region - Fraction of width/height to keep, centred (1 = full frame)
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export function getRegionOfInterest(video, region = 1) {
+  const fraction = Math.min(1, Math.max(0.1, region));
+  const width = Math.round(video.videoWidth * fraction);
+  const height = Math.round(video.videoHeight * fraction);
+  return {
+    x: Math.round((video.videoWidth - width) / 2),
+    y: Math.round((video.videoHeight - height) / 2),
+    width,
+    height
+  };
+}
+
+/**
+ * Detect QR codes in the current video frame
+ * @param {HTMLVideoElement} video
+ * @param {object} options
+ * @param {number} options.region - Centred region of interest as a fraction of the frame (1 = full)
+ * @param {number} options.maxWidth - Downscale frames wider than this before detection (0 = never)
+ * @returns {Promise<object[]>} - Detected barcodes in video frame coordinates
+ */
+export async function detectVideoFrame(video, { region = 1, maxWidth = 0 } = {}) {
+  if (!video.videoWidth || !video.videoHeight) {
+    return []; // Video not ready yet
+  }
+
+  if (canUseWorker()) {
+    const roi = getRegionOfInterest(video, region);
+    const scale = maxWidth > 0 ? Math.min(1, maxWidth / roi.width) : 1;
+
+    try {
+      const bitmap = await createImageBitmap(video, roi.x, roi.y, roi.width, roi.height);
+      return await detectInWorker(bitmap, roi.x, roi.y, scale);
+    } catch (err) {
+      if (workerFailed) {
+        return detectVideoFrame(video, { region, maxWidth });
+      }
+      throw err;
+    }
+  }
+
+  if (!mainThreadDetector) {
+    // Loaded on demand: the WASM polyfill is only needed without worker support
+    const { createBarcodeDetector } = await import('./barcode-detector.js');
+    mainThreadDetector = createBarcodeDetector();
+  }
+  return mainThreadDetector.detect(video);
+}
+
+/**
+ * Where detection currently runs
+ * @returns {'worker'|'main'}
+ */
+export function getDetectionMode() {
+  return canUseWorker() ? 'worker' : 'main';
+}
@@ -0,0 +1,26 @@
+/**
+ * Label Generation Worker
+ * Runs generateLabels off the main thread so large batches don't freeze the page
+ *
+ * Request:  { input, layout, options }
+ *   options are generateLabels options with payloadOptions and template
+ *   already resolved (settings live in localStorage, which workers can't read).
+ * Responses: { type: 'progress', current, total }, then
+ *   { type: 'done', blob } or { type: 'error', error }
+ * Cancel by terminating the worker.
+ */
+
+import { generateLabels } from './generator.js';
+
+self.onmessage = async (event) => {
+  const { input, layout, options } = event.data;
+
+  try {
+    const blob = await generateLabels(input, (current, total) => {
+      self.postMessage({ type: 'progress', current, total });
+    }, layout, options);
+    self.postMessage({ type: 'done', blob });
+  } catch (err) {
+    self.postMessage({ type: 'error', error: err.message || String(err) });
+  }
+};
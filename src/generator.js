@@ -1,115 +1,298 @@
 /**
  * PDF Generator Module
- * Generates A4 PDFs with QR codes for box labels
+ * Generates PDFs with QR codes for box and location labels on configurable sheet layouts,
+ * plus the other output formats in label-formats.js (SVG/PNG zip, ZPL)
+ *
+ * QR codes are drawn as vector rectangles. Downloads run in a Web Worker
+ * (generator-worker.js) so large batches don't block the page, and can be
+ * cancelled with an AbortSignal.
  */
 
-import QRCode from 'qrcode';
 import { jsPDF } from 'jspdf';
-import { encodeQRPayload } from './qr-utils.js';
-
-// A4 dimensions and layout constants (in mm)
-const A4_WIDTH_MM = 210;
-const A4_HEIGHT_MM = 297;
-const QR_SIZE_MM = 40;           // ~4cm QR code
-const LABEL_HEIGHT_MM = 8;       // Space for serial number text below QR
-const CELL_HEIGHT_MM = QR_SIZE_MM + LABEL_HEIGHT_MM + 5; // QR + label + padding
-const CELL_WIDTH_MM = QR_SIZE_MM + 10;  // QR + horizontal padding
-const MARGIN_MM = 10;
-
-// Calculate grid
-const COLS = Math.floor((A4_WIDTH_MM - 2 * MARGIN_MM) / CELL_WIDTH_MM);   // = 4 columns
-const ROWS = Math.floor((A4_HEIGHT_MM - 2 * MARGIN_MM) / CELL_HEIGHT_MM); // = 5 rows
-const PER_PAGE = COLS * ROWS; // = 20 QR codes per page
-
-/**
- * Generate QR code as data URL
- * @param {string} serialNumber
- * @returns {Promise<string>} - PNG data URL
- */
-async function generateQRDataURL(serialNumber) {
-  const payload = encodeQRPayload(serialNumber);
-
-  const dataUrl = await QRCode.toDataURL(payload, {
-    errorCorrectionLevel: 'M',
-    margin: 1,
-    width: 200  // pixels, will be scaled in PDF
-  });
+import { createQRPayload, canEncodeCompact } from './qr-utils.js';
+import { getPayloadOptions, getLabelTemplate } from './settings.js';
+import { needsUnicodeFont, registerUnicodeFont } from './fonts.js';
+import { downloadBlob } from './download.js';
+import { expandSerialInput } from './serial-ranges.js';
+import { LAYOUT_PRESETS, DEFAULT_LAYOUT_ID, resolveLayout, getCellPosition } from './layouts.js';
+import { getTemplateLines, planLabel } from './label-template.js';
+import { generateImageZip, generateZPL, getQRModuleRuns, labelCheckpoint } from './label-formats.js';
+
+// Output formats offered by the generator
+export const OUTPUT_FORMATS = {
+  pdf: { name: 'PDF (printable sheets)', extension: 'pdf' },
+  svg: { name: 'SVG files, one per label (zip)', extension: 'zip' },
+  png: { name: 'PNG files, one per label (zip)', extension: 'zip' },
+  zpl: { name: 'ZPL for Zebra label printers', extension: 'zpl' }
+};
+
+// Current layout; COLS/ROWS/PER_PAGE are live bindings updated by setLayout()
+let currentLayout = resolveLayout(LAYOUT_PRESETS[DEFAULT_LAYOUT_ID]);
+let COLS = currentLayout.cols;
+let ROWS = currentLayout.rows;
+let PER_PAGE = currentLayout.perPage;
+
+// Most copies of one label in a run
+export const MAX_COPIES = 20;
 
-  return dataUrl;
+// Set once a worker fails to start; later jobs then run on the main thread
+let workerFailed = false;
+
+/**
+ * Choose the label layout used by generatePDF
+ * @param {string|object} layout - Preset ID from LAYOUT_PRESETS or a custom layout
+ * @returns {object} - The resolved layout
+ */
+export function setLayout(layout) {
+  const source = typeof layout === 'string' ? LAYOUT_PRESETS[layout] : layout;
+  if (!source) {
+    throw new Error(`Unknown layout: ${layout}`);
+  }
+
+  currentLayout = resolveLayout(source);
+  COLS = currentLayout.cols;
+  ROWS = currentLayout.rows;
+  PER_PAGE = currentLayout.perPage;
+  return currentLayout;
 }
 
 /**
- * Parse serial numbers from input string
- * @param {string} input - Newline or comma separated serial numbers
+ * Get the layout currently used by generatePDF
+ */
+export function getLayout() {
+  return currentLayout;
+}
+
+/**
+ * Draw a QR code as vector rectangles, one per run of dark modules,
+ * filled as a single path so viewers don't show seams between rows
+ * @param {import('jspdf').jsPDF} pdf
+ * @param {string} payload - Encoded QR payload
+ * @param {number} x - mm
+ * @param {number} y - mm
+ * @param {number} size - mm, including a one-module quiet zone
+ */
+function drawQRCode(pdf, payload, x, y, size) {
+  const { size: count, runs } = getQRModuleRuns(payload);
+  const moduleSize = size / (count + 2);
+
+  pdf.setFillColor(0, 0, 0);
+  for (const { row, col, length } of runs) {
+    pdf.rect(x + (col + 1) * moduleSize, y + (row + 1) * moduleSize, length * moduleSize, moduleSize, null);
+  }
+  pdf.fill();
+}
+
+/**
+ * Parse serial numbers from input string, expanding ranges and templates
+ * @param {string} input - Newline or comma separated serial numbers or ranges
  * @returns {string[]} - Array of trimmed, non-empty serial numbers
  */
 export function parseSerialNumbers(input) {
-  return input
-    .split(/[\n,]/)
-    .map(s => s.trim())
-    .filter(s => s.length > 0);
+  return expandSerialInput(input).serials;
 }
 
 /**
- * Generate PDF with QR codes
- * @param {string} input - Newline or comma separated serial numbers
- * @param {function} onProgress - Progress callback (current, total)
- * @returns {Promise<Blob>} - PDF blob for download
+ * Expand and validate the input, and work out the payload and text of every label
+ * @param {string} input - Newline or comma separated serial numbers (or location codes)
+ * @param {object} options - generateLabels options
+ * @returns {{ labels: { serial: string, lines: string[] }[], payloadOptions: object, template: object }}
  */
-export async function generatePDF(input, onProgress = null) {
-  const serials = parseSerialNumbers(input);
+function prepareLabels(input, {
+  labelType = 'box',
+  labelFields = {},
+  template = getLabelTemplate(),
+  payloadOptions: basePayloadOptions = getPayloadOptions()
+} = {}) {
+  const { serials, errors } = expandSerialInput(input);
+
+  if (errors.length > 0) {
+    throw new Error(`${errors[0].entry}: ${errors[0].message}`);
+  }
 
   if (serials.length === 0) {
     throw new Error('No serial numbers provided');
   }
 
+  const payloadOptions = { ...basePayloadOptions, type: labelType };
+
+  // Fail before generating anything if a serial can't use the compact form
+  if (payloadOptions.encoding === 'compact') {
+    const unsupported = serials.find(serial => !canEncodeCompact(serial, payloadOptions.namespace));
+    if (unsupported !== undefined) {
+      throw new Error(`"${unsupported}" can't use compact encoding (only A-Z, 0-9, space and $ % * + - . /)`);
+    }
+  }
+
+  const labels = serials.map(serial => ({
+    serial,
+    lines: getTemplateLines(template, serial, labelFields[serial], labelType)
+  }));
+
+  return { labels, payloadOptions, template };
+}
+
+/**
+ * Validate the partial-sheet options
+ * @param {object} options - generateLabels options
+ * @param {object} layout - Resolved layout
+ * @returns {{ startOffset: number, copies: number }}
+ */
+function getPrintOptions({ startOffset = 0, copies = 1 }, layout) {
+  const offset = Number(startOffset);
+  const count = Number(copies);
+
+  if (!Number.isInteger(offset) || offset < 0 || offset >= layout.perPage) {
+    throw new Error(`Cells to skip must be a whole number from 0 to ${layout.perPage - 1}`);
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COPIES) {
+    throw new Error(`Copies must be a whole number from 1 to ${MAX_COPIES}`);
+  }
+
+  return { startOffset: offset, copies: count };
+}
+
+/**
+ * Work out which cells of which pages a run fills, for the sheet preview
+ * @param {string[]} serials - Expanded serial numbers
+ * @param {object} layout - Resolved layout
+ * @param {object} options
+ * @param {number} options.startOffset - Cells already used on the first sheet
+ * @param {number} options.copies - Labels per serial
+ * @param {number} options.maxPages - Stop after this many pages
+ * @returns {{ pageCount: number, pages: { state: 'used'|'label'|'empty', serial: string|null }[][] }}
+ */
+export function getSheetPreview(serials, layout, { startOffset = 0, copies = 1, maxPages = 3 } = {}) {
+  const total = startOffset + serials.length * copies;
+  const pageCount = Math.max(1, Math.ceil(total / layout.perPage));
+  const pages = [];
+
+  for (let page = 0; page < Math.min(pageCount, maxPages); page++) {
+    const cells = [];
+    for (let position = 0; position < layout.perPage; position++) {
+      const slot = page * layout.perPage + position;
+      if (slot < startOffset) {
+        cells.push({ state: 'used', serial: null });
+      } else if (slot < total) {
+        cells.push({ state: 'label', serial: serials[Math.floor((slot - startOffset) / copies)] });
+      } else {
+        cells.push({ state: 'empty', serial: null });
+      }
+    }
+    pages.push(cells);
+  }
+
+  return { pageCount, pages };
+}
+
+/**
+ * Get the image format jsPDF needs for a data URL
+ * @param {string} dataUrl
+ * @returns {'PNG'|'JPEG'}
+ */
+function imageFormat(dataUrl) {
+  return dataUrl.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+}
+
+/**
+ * Generate PDF with QR codes
+ * @param {string} input - Newline or comma separated serial numbers (or location codes)
+ * @param {function} onProgress - Progress callback (current, total)
+ * @param {object} layout - Resolved layout, defaults to the one chosen with setLayout()
+ * @param {object} options
+ * @param {'box'|'location'} options.labelType - Box labels or shelf/location labels
+ * @param {Record<string, Record<string, string>>} options.labelFields - Imported columns per serial, by column name
+ * @param {object} options.template - Label template, defaults to the one in settings
+ * @param {object} options.payloadOptions - Payload options, defaults to the ones in settings
+ * @param {number} options.startOffset - Cells to skip on the first sheet (already used labels)
+ * @param {number} options.copies - Labels per serial, printed next to each other
+ * @param {AbortSignal} options.signal - Cancels generation
+ * @returns {Promise<Blob>} - PDF blob for download
+ */
+export async function generatePDF(input, onProgress = null, layout = currentLayout, options = {}) {
+  const { labels, payloadOptions, template } = prepareLabels(input, options);
+  const { startOffset, copies } = getPrintOptions(options, layout);
+  const { signal = null } = options;
+
   const pdf = new jsPDF({
-    orientation: 'portrait',
+    orientation: layout.pageWidth > layout.pageHeight ? 'landscape' : 'portrait',
     unit: 'mm',
-    format: 'a4'
+    format: [layout.pageWidth, layout.pageHeight],
+    // Thousands of vector QR codes: deflate the page streams and keep coordinates short
+    compress: true,
+    floatPrecision: 3
   });
 
-  for (let i = 0; i < serials.length; i++) {
-    const serial = serials[i];
-    const pageIndex = Math.floor(i / PER_PAGE);
-    const positionOnPage = i % PER_PAGE;
+  // Built-in Helvetica only covers Latin-1; embed a Unicode font for e.g. Hangul
+  const allText = labels.flatMap(label => [label.serial, ...label.lines]);
+  const fontName = allText.some(needsUnicodeFont) ? await registerUnicodeFont(pdf) : 'helvetica';
+  pdf.setFont(fontName, 'normal');
+
+  // Text fitting uses the embedded font's metrics
+  const measure = (text, fontSize) => pdf.getStringUnitWidth(text) * fontSize / pdf.internal.scaleFactor;
+
+  const total = labels.length * copies;
+  let plan = null;
+  let payload = null;
+
+  for (let i = 0; i < total; i++) {
+    await labelCheckpoint(i, signal);
+
+    const { serial, lines } = labels[Math.floor(i / copies)];
+    const slot = startOffset + i;
+    const pageIndex = Math.floor(slot / layout.perPage);
+    const positionOnPage = slot % layout.perPage;
 
     // Add new page if needed (except for first)
     if (positionOnPage === 0 && pageIndex > 0) {
-      pdf.addPage();
+      pdf.addPage([layout.pageWidth, layout.pageHeight]);
+    }
+
+    // Copies of a label share its layout and payload
+    if (i % copies === 0) {
+      plan = planLabel(serial, lines, layout, template, measure);
+      payload = await createQRPayload(serial, payloadOptions);
     }
 
-    const col = positionOnPage % COLS;
-    const row = Math.floor(positionOnPage / COLS);
-
-    const x = MARGIN_MM + col * CELL_WIDTH_MM + (CELL_WIDTH_MM - QR_SIZE_MM) / 2;
-    const y = MARGIN_MM + row * CELL_HEIGHT_MM;
-
-    // Generate and add QR code
-    const qrDataUrl = await generateQRDataURL(serial);
-    pdf.addImage(qrDataUrl, 'PNG', x, y, QR_SIZE_MM, QR_SIZE_MM);
-
-    // Add serial number text below QR
-    pdf.setFontSize(10);
-    pdf.setFont('helvetica', 'normal');
-    const textWidth = pdf.getTextWidth(serial);
-    const textX = x + (QR_SIZE_MM - textWidth) / 2; // Center text
-    const textY = y + QR_SIZE_MM + 5;
-    pdf.text(serial, textX, textY);
-
-    // Add light border/cut line around cell
-    pdf.setDrawColor(200, 200, 200); // Light gray
-    pdf.setLineWidth(0.2);
-    pdf.rect(
-      MARGIN_MM + col * CELL_WIDTH_MM,
-      MARGIN_MM + row * CELL_HEIGHT_MM,
-      CELL_WIDTH_MM,
-      CELL_HEIGHT_MM
-    );
+    const cell = getCellPosition(layout, positionOnPage);
+
+    if (plan.logo) {
+      const { dataUrl, x, y, width, height } = plan.logo;
+      pdf.addImage(dataUrl, imageFormat(dataUrl), cell.x + x, cell.y + y, width, height, 'label-logo');
+    }
+
+    drawQRCode(pdf, payload, cell.x + plan.qr.x, cell.y + plan.qr.y, plan.qr.size);
+
+    if (plan.barcode) {
+      const { bars, modules, x, y, width, height } = plan.barcode;
+      const moduleWidth = width / modules;
+      pdf.setFillColor(0, 0, 0);
+      let barX = cell.x + x;
+      bars.forEach((bar, index) => {
+        // Even entries are bars, odd entries are spaces
+        if (index % 2 === 0) {
+          pdf.rect(barX, cell.y + y, bar * moduleWidth, height, 'F');
+        }
+        barX += bar * moduleWidth;
+      });
+    }
+
+    // Serial number and extra lines, already fitted to the cell
+    for (const text of plan.texts) {
+      pdf.setFontSize(text.fontSize);
+      pdf.text(text.text, cell.x + text.x, cell.y + text.y, { align: 'center' });
+    }
+
+    // Add light border/cut line around cell (pre-cut label sheets don't need one)
+    if (layout.cutLines) {
+      pdf.setDrawColor(200, 200, 200); // Light gray
+      pdf.setLineWidth(0.2);
+      pdf.rect(cell.x, cell.y, layout.cellWidth, layout.cellHeight);
+    }
 
     // Report progress
     if (onProgress) {
-      onProgress(i + 1, serials.length);
+      onProgress(i + 1, total);
     }
   }
 
@@ -117,20 +300,145 @@ export async function generatePDF(input, onProgress = null) {
 }
 
 /**
- * Trigger PDF download in browser
+ * Generate labels in any of the OUTPUT_FORMATS. Outside the PDF every label
+ * is one layout cell in size. Copies apply to PDF and ZPL; the start offset
+ * only to PDF sheets.
+ * @param {string} input - Newline or comma separated serial numbers (or location codes)
+ * @param {function} onProgress - Progress callback (current, total)
+ * @param {object} layout - Resolved layout, defaults to the one chosen with setLayout()
+ * @param {object} options - generatePDF options, plus:
+ * @param {'pdf'|'svg'|'png'|'zpl'} options.format - Output format
+ * @param {number} options.dpi - Printer resolution for ZPL (203 or 300)
+ * @returns {Promise<Blob>}
+ */
+export async function generateLabels(input, onProgress = null, layout = currentLayout, options = {}) {
+  const { format = 'pdf', dpi, signal = null } = options;
+
+  if (!OUTPUT_FORMATS[format]) {
+    throw new Error(`Unknown output format: ${format}`);
+  }
+  if (format === 'pdf') {
+    return generatePDF(input, onProgress, layout, options);
+  }
+
+  const { labels, payloadOptions, template } = prepareLabels(input, options);
+  const job = { layout, payloadOptions, template, onProgress, signal };
+  return format === 'zpl'
+    ? generateZPL(labels, { ...job, dpi, copies: getPrintOptions({ copies: options.copies }, layout).copies })
+    : generateImageZip(labels, { ...job, format });
+}
+
+/**
+ * Check if a format can be generated in a worker. PNG files are rasterized
+ * through an <img>, which only exists on the page.
+ * @param {string} format
+ */
+function canUseWorker(format) {
+  return !workerFailed && format !== 'png' && typeof Worker !== 'undefined';
+}
+
+/**
+ * Run generateLabels in a worker. Settings aren't readable there, so the
+ * payload options and template are resolved first and sent along.
+ * @returns {Promise<Blob>}
+ */
+function generateInWorker(input, onProgress, layout, options) {
+  const { signal, ...jobOptions } = options;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./generator-worker.js', import.meta.url), { type: 'module' });
+
+    const onAbort = () => finish(reject, signal.reason);
+    const finish = (settle, value) => {
+      worker.terminate();
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      settle(value);
+    };
+
+    worker.onmessage = (event) => {
+      const { type, current, total, blob, error } = event.data;
+      if (type === 'progress') {
+        if (onProgress) {
+          onProgress(current, total);
+        }
+      } else if (type === 'done') {
+        finish(resolve, blob);
+      } else {
+        finish(reject, new Error(error));
+      }
+    };
+
+    // Only raised when the worker itself can't run; generation errors arrive as messages
+    worker.onerror = (event) => {
+      event.preventDefault();
+      workerFailed = true;
+      finish(reject, Object.assign(new Error(event.message || 'Worker error'), { workerFailed: true }));
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        finish(reject, signal.reason);
+        return;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+
+    worker.postMessage({ input, layout, options: jobOptions });
+  });
+}
+
+/**
+ * Generate labels off the main thread where possible
+ * @param {string} input - Newline or comma separated serial numbers (or location codes)
+ * @param {function} onProgress - Progress callback (current, total)
+ * @param {object} layout - Resolved layout
+ * @param {object} options - generateLabels options, including an optional AbortSignal
+ * @returns {Promise<Blob>}
+ */
+export async function generateLabelsInBackground(input, onProgress = null, layout = currentLayout, options = {}) {
+  const resolved = {
+    ...options,
+    template: options.template || getLabelTemplate(),
+    payloadOptions: options.payloadOptions || getPayloadOptions()
+  };
+
+  if (canUseWorker(resolved.format || 'pdf')) {
+    try {
+      return await generateInWorker(input, onProgress, layout, resolved);
+    } catch (err) {
+      if (!err.workerFailed) {
+        throw err;
+      }
+      console.warn('Label worker unavailable, generating on the main thread:', err.message);
+    }
+  }
+
+  return generateLabels(input, onProgress, layout, resolved);
+}
+
+/**
+ * Trigger a label download in the browser
  * @param {string} input - Newline or comma separated serial numbers
  * @param {function} onProgress - Progress callback
+ * @param {object} options - generateLabels options, including an optional AbortSignal
  */
-export async function downloadPDF(input, onProgress = null) {
-  const blob = await generatePDF(input, onProgress);
-  const url = URL.createObjectURL(blob);
-
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `qr-codes-${Date.now()}.pdf`;
-  a.click();
+export async function downloadLabels(input, onProgress = null, options = {}) {
+  const format = options.format || 'pdf';
+  const blob = await generateLabelsInBackground(input, onProgress, currentLayout, options);
+  const prefix = options.labelType === 'location' ? 'location-labels' : 'qr-codes';
+  downloadBlob(blob, `${prefix}-${Date.now()}.${OUTPUT_FORMATS[format].extension}`);
+}
 
-  URL.revokeObjectURL(url);
+/**
+ * Trigger PDF download in browser
+ * @param {string} input - Newline or comma separated serial numbers
+ * @param {function} onProgress - Progress callback
+ * @param {object} options - generatePDF options
+ */
+export async function downloadPDF(input, onProgress = null, options = {}) {
+  return downloadLabels(input, onProgress, { ...options, format: 'pdf' });
 }
 
 // Export constants for UI display
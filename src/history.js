@@ -0,0 +1,259 @@
+/**
+ * Scan History
+ * Stores every valid scan in IndexedDB so it survives reloads and camera restarts
+ *
+ * Each record is { id, serial, timestamp, session, mode, location }, where
+ * session identifies one camera run (or one batch of photos) and location is
+ * the shelf the box was seen at, if a location label was scanned with it.
+ */
+
+import { downloadBlob } from './download.js';
+import { toCSV } from './csv.js';
+import { matchSerial } from './target-matcher.js';
+
+const DB_NAME = 'qr-box-finder';
+const DB_VERSION = 1;
+const STORE = 'scans';
+
+// A box sitting in view is recorded again only after this long (ms)
+const RECORD_INTERVAL_MS = 30000;
+
+// Upper bound on stored records, whatever the retention period
+export const MAX_HISTORY_RECORDS = 50000;
+
+let dbPromise = null;
+let currentSession = null;
+const lastRecorded = new Map(); // serial -> timestamp, within the current session
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the history database, creating the store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  if (!dbPromise) {
+    if (!globalThis.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('serial', 'serial');
+      store.createIndex('timestamp', 'timestamp');
+      store.createIndex('session', 'session');
+    };
+
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Check if scan history can be stored in this browser
+ */
+export function isHistoryAvailable() {
+  return Boolean(globalThis.indexedDB);
+}
+
+/**
+ * Start a new history session (one camera run or one batch of photos)
+ * @param {string} mode - App mode the scans come from
+ * @returns {string} - Session ID
+ */
+export function startHistorySession(mode) {
+  currentSession = { id: `${new Date().toISOString()}-${mode}`, mode };
+  lastRecorded.clear();
+  return currentSession.id;
+}
+
+/**
+ * Record a valid scan in the current session. Repeated sightings of a box
+ * that stays in view are collapsed to one record every RECORD_INTERVAL_MS.
+ * @param {string} serialNumber
+ * @param {string|null} location - Shelf the box was seen at, if known
+ * @returns {Promise<boolean>} - True if a record was written
+ */
+export async function recordScan(serialNumber, location = null) {
+  if (!currentSession || !isHistoryAvailable()) {
+    return false;
+  }
+
+  const now = Date.now();
+  const last = lastRecorded.get(serialNumber);
+  if (last !== undefined && now - last < RECORD_INTERVAL_MS) {
+    return false;
+  }
+  lastRecorded.set(serialNumber, now);
+
+  try {
+    const db = await openDB();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).add({
+      serial: serialNumber,
+      timestamp: now,
+      session: currentSession.id,
+      mode: currentSession.mode,
+      location
+    });
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+    return true;
+  } catch (err) {
+    console.warn('Failed to record scan history:', err);
+    return false;
+  }
+}
+
+/**
+ * Query scan records, newest first
+ * @param {object} filter
+ * @param {object[]} filter.matchers - Only serials matching these search terms (see parseSearchTerms)
+ * @param {number} filter.since - Only scans at or after this timestamp
+ * @param {string} filter.session - Only scans from this session
+ * @returns {Promise<object[]>}
+ */
+export async function getScanHistory({ matchers = null, since = 0, session = null } = {}) {
+  const db = await openDB();
+  const index = db.transaction(STORE).objectStore(STORE).index('timestamp');
+  const records = await promisify(index.getAll(IDBKeyRange.lowerBound(since)));
+
+  return records
+    .filter(record => !session || record.session === session)
+    .filter(record => !matchers || matchers.length === 0 || matchSerial(matchers, record.serial) !== null)
+    .reverse();
+}
+
+/**
+ * Summarize records per serial
+ * @param {object[]} records - From getScanHistory (newest first)
+ * @returns {{ serial: string, lastSeen: number, firstSeen: number, count: number, location: string|null }[]}
+ */
+export function summarizeLastSeen(records) {
+  const bySerial = new Map();
+
+  for (const record of records) {
+    const entry = bySerial.get(record.serial);
+    if (!entry) {
+      bySerial.set(record.serial, {
+        serial: record.serial,
+        lastSeen: record.timestamp,
+        firstSeen: record.timestamp,
+        count: 1,
+        location: record.location || null
+      });
+    } else {
+      entry.firstSeen = record.timestamp;
+      entry.count++;
+      entry.location = entry.location || record.location || null;
+    }
+  }
+
+  return Array.from(bySerial.values());
+}
+
+/**
+ * Delete records older than the retention period and beyond MAX_HISTORY_RECORDS
+ * @param {number} retentionDays - Keep this many days (0 = no age limit)
+ * @returns {Promise<number>} - Number of records deleted
+ */
+export async function pruneHistory(retentionDays) {
+  const db = await openDB();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  let deleted = 0;
+
+  const cutoff = retentionDays > 0 ? Date.now() - retentionDays * 24 * 60 * 60 * 1000 : 0;
+  const total = await promisify(store.count());
+  let excess = Math.max(0, total - MAX_HISTORY_RECORDS);
+
+  // Walk from the oldest record until one is both recent enough and within the cap
+  await new Promise((resolve, reject) => {
+    const request = store.index('timestamp').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (cursor.value.timestamp >= cutoff && excess === 0)) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      deleted++;
+      excess = Math.max(0, excess - 1);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  return deleted;
+}
+
+/**
+ * Delete all scan history
+ */
+export async function clearHistory() {
+  const db = await openDB();
+  await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+  lastRecorded.clear();
+}
+
+/**
+ * Serialize records as CSV
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function historyToCSV(records) {
+  const rows = [['serial', 'timestamp', 'session', 'mode', 'location']];
+  for (const record of records) {
+    rows.push([
+      record.serial,
+      new Date(record.timestamp).toISOString(),
+      record.session,
+      record.mode,
+      record.location || ''
+    ]);
+  }
+  return toCSV(rows);
+}
+
+/**
+ * Serialize records as JSON
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function historyToJSON(records) {
+  return JSON.stringify(records.map(({ id, ...record }) => ({
+    ...record,
+    timestamp: new Date(record.timestamp).toISOString()
+  })), null, 2);
+}
+
+/**
+ * Trigger a download of history records
+ * @param {object[]} records
+ * @param {'csv'|'json'} format
+ */
+export function downloadHistory(records, format) {
+  const base = `scan-history-${Date.now()}`;
+
+  if (format === 'json') {
+    downloadBlob(new Blob([historyToJSON(records)], { type: 'application/json' }), `${base}.json`);
+  } else {
+    downloadBlob(new Blob([historyToCSV(records)], { type: 'text/csv' }), `${base}.csv`);
+  }
+}
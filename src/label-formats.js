@@ -0,0 +1,501 @@
+/**
+ * Label Output Formats
+ * Per-label SVG and PNG files (zipped) and ZPL for Zebra thermal printers
+ *
+ * Every label is one layout cell, laid out by planLabel like the PDF, so
+ * payloads, label text, logo and barcode match across formats.
+ */
+
+import QRCode from 'qrcode';
+import { zipSync, strToU8 } from 'fflate';
+import { createQRPayload } from './qr-utils.js';
+import { planLabel, MM_PER_POINT } from './label-template.js';
+import { needsUnicodeFont, loadUnicodeFontFace } from './fonts.js';
+
+// PNG resolution (dots per inch)
+const PNG_DPI = 300;
+
+// Zebra printer resolutions: dpi -> dots per mm
+export const ZPL_RESOLUTIONS = { 203: 8, 300: 12 };
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+// Let the page repaint after this many labels when generating on the main thread
+const YIELD_EVERY = 25;
+
+// Zebra font 0 is condensed; this average glyph width keeps estimates on the safe side
+const ZPL_CHAR_WIDTH = 0.55;
+
+// Hangul and CJK glyphs (drawn as graphics in ZPL) are about a full em wide
+const WIDE_CHAR_PATTERN = /[\u1100-\u11FF\u2E80-\uA4CF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]/g;
+
+// Characters of the QR alphanumeric mode, which compact payloads are limited to
+const QR_ALPHANUMERIC_PATTERN = /^[0-9A-Z $%*+\-./:]*$/;
+
+/**
+ * Encode a payload as one QR segment in a fixed mode, so a printer told the
+ * same mode (ZPL ^BQ manual input) picks the same symbol version
+ * @param {string} payload
+ * @returns {'alphanumeric'|'byte'}
+ */
+export function getQRMode(payload) {
+  return QR_ALPHANUMERIC_PATTERN.test(payload) ? 'alphanumeric' : 'byte';
+}
+
+/**
+ * Get the dark modules of a payload's QR code as horizontal runs, so each
+ * run can be drawn as one rectangle (same error correction and mode in every format)
+ * @param {string} payload
+ * @returns {{ size: number, runs: { row: number, col: number, length: number }[] }}
+ */
+export function getQRModuleRuns(payload) {
+  const segments = [{ data: payload, mode: getQRMode(payload) }];
+  const modules = QRCode.create(segments, { errorCorrectionLevel: 'M' }).modules;
+  const runs = [];
+
+  for (let row = 0; row < modules.size; row++) {
+    let col = 0;
+    while (col < modules.size) {
+      if (!modules.get(row, col)) {
+        col++;
+        continue;
+      }
+      const start = col;
+      while (col < modules.size && modules.get(row, col)) {
+        col++;
+      }
+      runs.push({ row, col: start, length: col - start });
+    }
+  }
+
+  return { size: modules.size, runs };
+}
+
+/**
+ * Call between labels: stops a cancelled job, and now and then gives the
+ * event loop a turn so progress is painted and cancel clicks get through
+ * @param {number} index - Labels done so far
+ * @param {AbortSignal} signal
+ */
+export async function labelCheckpoint(index, signal) {
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  if (index > 0 && index % YIELD_EVERY === 0) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (signal) {
+      signal.throwIfAborted();
+    }
+  }
+}
+
+/**
+ * Round to 0.001 mm to keep the SVG markup short
+ */
+function round(value) {
+  return Number(value.toFixed(3));
+}
+
+/**
+ * Escape text for SVG markup
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * SVG path for the dark modules, one unit per module, one run per subpath
+ * @param {object[]} runs - From getQRModuleRuns
+ * @param {number} offset - Quiet zone in modules
+ * @returns {string}
+ */
+function runsToPath(runs, offset) {
+  return runs
+    .map(({ row, col, length }) => `M${col + offset} ${row + offset}h${length}v1h${-length}z`)
+    .join('');
+}
+
+/**
+ * SVG path for barcode bars
+ * @param {number[]} bars - Bar and space widths in modules, starting with a bar
+ * @returns {string}
+ */
+function barsToPath(bars) {
+  const parts = [];
+  let x = 0;
+  bars.forEach((width, index) => {
+    if (index % 2 === 0) {
+      parts.push(`M${x} 0h${width}v1h${-width}z`);
+    }
+    x += width;
+  });
+  return parts.join('');
+}
+
+/**
+ * Draw one label as an SVG document (units are mm)
+ * @param {string} serialNumber - Serial, or location code for location labels
+ * @param {string} payload - Encoded QR payload
+ * @param {object} layout - Resolved layout; the label is one cell
+ * @param {string[]} lines - Extra text lines below the serial
+ * @param {object} template - Label template (logo, barcode, text fitting)
+ * @returns {string}
+ */
+export function renderLabelSVG(serialNumber, payload, layout, lines = [], template = {}) {
+  const plan = planLabel(serialNumber, lines, layout, template);
+  const qr = getQRModuleRuns(payload);
+
+  // One module of quiet zone on each side, as in the PDF
+  const scale = plan.qr.size / (qr.size + 2);
+  const elements = [
+    '<rect width="100%" height="100%" fill="#fff"/>',
+    `<path transform="translate(${round(plan.qr.x)} ${round(plan.qr.y)}) scale(${round(scale)})" d="${runsToPath(qr.runs, 1)}" fill="#000" shape-rendering="crispEdges"/>`
+  ];
+
+  if (plan.logo) {
+    const { dataUrl, x, y, width, height } = plan.logo;
+    elements.push(`<image href="${dataUrl}" x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}"/>`);
+  }
+
+  if (plan.barcode) {
+    const { bars, modules: count, x, y, width, height } = plan.barcode;
+    elements.push(`<path transform="translate(${round(x)} ${round(y)}) scale(${round(width / count)} ${round(height)})" d="${barsToPath(bars)}" fill="#000" shape-rendering="crispEdges"/>`);
+  }
+
+  elements.push(
+    `<g font-family="${FONT_FAMILY}" text-anchor="middle" fill="#000">`,
+    ...plan.texts.map(text =>
+      `<text x="${round(text.x)}" y="${round(text.y)}" font-size="${round(text.fontSize * MM_PER_POINT)}">${escapeXML(text.text)}</text>`
+    ),
+    '</g>'
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.cellWidth}mm" height="${layout.cellHeight}mm" viewBox="0 0 ${layout.cellWidth} ${layout.cellHeight}">`,
+    ...elements,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Load an image from a URL
+ * @param {string} url
+ * @returns {Promise<HTMLImageElement>}
+ */
+async function loadImage(url) {
+  const image = new Image();
+  image.src = url;
+  await image.decode();
+  return image;
+}
+
+/**
+ * Rasterize a label SVG at PNG_DPI
+ * @param {string} svg - From renderLabelSVG
+ * @param {object} layout - Resolved layout
+ * @returns {Promise<Uint8Array>} - PNG file contents
+ */
+async function svgToPNG(svg, layout) {
+  const pixelsPerMm = PNG_DPI / 25.4;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(layout.cellWidth * pixelsPerMm);
+  canvas.height = Math.round(layout.cellHeight * pixelsPerMm);
+
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  try {
+    const image = await loadImage(url);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * File name for a label inside the zip, unique within the archive
+ * @param {string} serialNumber
+ * @param {string} extension
+ * @param {Set<string>} used - Names already in the archive
+ * @returns {string}
+ */
+function labelFileName(serialNumber, extension, used) {
+  const base = serialNumber.replace(/[^\p{L}\p{N}._-]+/gu, '_') || 'label';
+  let name = `${base}.${extension}`;
+  for (let n = 2; used.has(name); n++) {
+    name = `${base}-${n}.${extension}`;
+  }
+  used.add(name);
+  return name;
+}
+
+/**
+ * Generate a zip with one SVG or PNG file per label
+ * @param {{ serial: string, lines: string[] }[]} labels - Validated serials with their text lines
+ * @param {object} job
+ * @param {'svg'|'png'} job.format
+ * @param {object} job.layout - Resolved layout
+ * @param {object} job.payloadOptions - Payload options including label type
+ * @param {object} job.template - Label template
+ * @param {function} job.onProgress - Progress callback (current, total)
+ * @param {AbortSignal} job.signal - Cancels the job
+ * @returns {Promise<Blob>}
+ */
+export async function generateImageZip(labels, { format, layout, payloadOptions, template = {}, onProgress = null, signal = null }) {
+  const files = {};
+  const used = new Set();
+
+  for (let i = 0; i < labels.length; i++) {
+    await labelCheckpoint(i, signal);
+    const { serial, lines } = labels[i];
+    const payload = await createQRPayload(serial, payloadOptions);
+    const svg = renderLabelSVG(serial, payload, layout, lines, template);
+
+    files[labelFileName(serial, format, used)] = format === 'png'
+      ? [await svgToPNG(svg, layout), { level: 0 }] // PNG is already compressed
+      : strToU8(svg);
+
+    if (onProgress) {
+      onProgress(i + 1, labels.length);
+    }
+  }
+
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
+
+/**
+ * Escape ZPL field data. With ^FH\ these become hex escapes, so the data
+ * can't end the field or start a command.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeZPL(text) {
+  return text.replace(/[\\^~]/g, char => `\\${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Create a canvas on the page or in a worker (OffscreenCanvas)
+ * @param {number} width - px
+ * @param {number} height - px
+ * @returns {HTMLCanvasElement|OffscreenCanvas|null} - null where there is no canvas at all (e.g. Node)
+ */
+function createCanvas(width, height) {
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  return null;
+}
+
+/**
+ * Draw an image on a canvas and read its pixels
+ * @param {string} dataUrl
+ * @param {number} width - px
+ * @param {number} height - px
+ * @returns {Promise<Uint8ClampedArray|null>} - RGBA pixels; null without a canvas
+ */
+async function rasterizeImage(dataUrl, width, height) {
+  const canvas = createCanvas(width, height);
+  if (!canvas) {
+    return null;
+  }
+
+  const image = typeof document !== 'undefined'
+    ? await loadImage(dataUrl)
+    : await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height).data;
+}
+
+/**
+ * Convert the logo to a ZPL graphic field. Needs a canvas, so where there
+ * is none (e.g. Node) the logo is left off.
+ * @param {string} dataUrl
+ * @param {number} width - dots
+ * @param {number} height - dots
+ * @returns {Promise<string|null>} - ^GFA command
+ */
+async function logoToGraphicField(dataUrl, width, height) {
+  const data = await rasterizeImage(dataUrl, width, height);
+  return data ? pixelsToGraphicField(data, width, height) : null;
+}
+
+/**
+ * Draw a line of text centered across the label as a ZPL graphic field.
+ * For text the printer's font 0 has no glyphs for (Hangul, CJK, ...).
+ * @param {string} text
+ * @param {number} width - Label width, dots
+ * @param {number} height - Font size, dots
+ * @returns {Promise<string|null>} - ^GFA command; null without a canvas
+ */
+async function textToGraphicField(text, width, height) {
+  const canvas = createCanvas(width, height);
+  if (!canvas) {
+    return null;
+  }
+
+  const family = await loadUnicodeFontFace();
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.font = `${height}px ${family}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(text, width / 2, Math.round(height * 0.8), width);
+  return pixelsToGraphicField(ctx.getImageData(0, 0, width, height).data, width, height);
+}
+
+/**
+ * Pack RGBA pixels into a ZPL graphic field, 1 bit per dot
+ * @param {Uint8ClampedArray} data
+ * @param {number} width - dots
+ * @param {number} height - dots
+ * @returns {string} - ^GFA command
+ */
+function pixelsToGraphicField(data, width, height) {
+  const bytesPerRow = Math.ceil(width / 8);
+  let hex = '';
+  for (let y = 0; y < height; y++) {
+    for (let byteIndex = 0; byteIndex < bytesPerRow; byteIndex++) {
+      let byte = 0;
+      for (let bit = 0; bit < 8; bit++) {
+        const x = byteIndex * 8 + bit;
+        const i = (y * width + x) * 4;
+        // Dark, opaque pixels print
+        const dark = x < width && data[i + 3] >= 128 && data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114 < 128;
+        byte = (byte << 1) | (dark ? 1 : 0);
+      }
+      hex += byte.toString(16).padStart(2, '0').toUpperCase();
+    }
+  }
+
+  const total = bytesPerRow * height;
+  return `^GFA,${total},${total},${bytesPerRow},${hex}`;
+}
+
+/**
+ * Describe one label in ZPL
+ * @param {string} serialNumber - Serial, or location code for location labels
+ * @param {string} payload - Encoded QR payload
+ * @param {object} layout - Resolved layout; the label is one cell
+ * @param {string[]} lines - Extra text lines below the serial
+ * @param {object} template - Label template (logo, barcode, text fitting)
+ * @param {number} dpi - Printer resolution, a key of ZPL_RESOLUTIONS
+ * @param {number} copies - Labels the printer makes from this format
+ * @returns {Promise<string>} - One ^XA...^XZ label
+ */
+export async function renderLabelZPL(serialNumber, payload, layout, lines = [], template = {}, dpi = 203, copies = 1) {
+  const dotsPerMm = ZPL_RESOLUTIONS[dpi];
+  if (!dotsPerMm) {
+    throw new Error(`Unsupported printer resolution: ${dpi} dpi`);
+  }
+
+  const dots = mm => Math.round(mm * dotsPerMm);
+  const measure = (text, fontSize) => {
+    const wide = (text.match(WIDE_CHAR_PATTERN) || []).length;
+    return ((text.length - wide) * ZPL_CHAR_WIDTH + wide) * fontSize * MM_PER_POINT;
+  };
+  const plan = planLabel(serialNumber, lines, layout, template, measure);
+  const width = dots(layout.cellWidth);
+  const fields = [];
+
+  if (plan.logo) {
+    const { dataUrl, x, y, width: logoWidth, height: logoHeight } = plan.logo;
+    const graphic = await logoToGraphicField(dataUrl, dots(logoWidth), dots(logoHeight));
+    if (graphic) {
+      fields.push(`^FO${dots(x)},${dots(y)}${graphic}^FS`);
+    }
+  }
+
+  // ^BQ scales whole modules (magnification 1-10) and draws no quiet zone.
+  // Manual input (MM) with the measured mode makes the printer build the
+  // same symbol version; in automatic mode it may pick a larger one.
+  const { size } = getQRModuleRuns(payload);
+  const magnification = Math.min(10, Math.max(1, Math.floor(dots(plan.qr.size) / (size + 2))));
+  const qrDots = size * magnification;
+  const qrX = dots(plan.qr.x + plan.qr.size / 2) - Math.round(qrDots / 2);
+  const qrY = dots(plan.qr.y + plan.qr.size / 2) - Math.round(qrDots / 2);
+  const qrData = getQRMode(payload) === 'alphanumeric'
+    ? `A${payload}`
+    : `B${String(new TextEncoder().encode(payload).length).padStart(4, '0')}${escapeZPL(payload)}`;
+  fields.push(`^FO${qrX},${qrY}^BQN,2,${magnification}^FH\\^FDMM,${qrData}^FS`);
+
+  // Bars are drawn as boxes so they match the other formats exactly
+  if (plan.barcode) {
+    const { bars, modules: count, x, y, width: barcodeWidth, height } = plan.barcode;
+    const moduleDots = Math.max(1, Math.floor(dots(barcodeWidth) / count));
+    let barX = dots(x + barcodeWidth / 2) - Math.round(count * moduleDots / 2);
+    bars.forEach((bar, index) => {
+      if (index % 2 === 0) {
+        fields.push(`^FO${barX},${dots(y)}^GB${bar * moduleDots},${dots(height)},${bar * moduleDots}^FS`);
+      }
+      barX += bar * moduleDots;
+    });
+  }
+
+  // ^FO is the top of the text, the plan gives baselines; ^FB centers across the label
+  for (const text of plan.texts) {
+    const height = dots(text.fontSize * MM_PER_POINT);
+    const top = dots(text.y) - Math.round(height * 0.8);
+    if (!needsUnicodeFont(text.text)) {
+      fields.push(`^FO0,${top}^A0N,${height},${height}^FB${width},1,0,C^FH\\^FD${escapeZPL(text.text)}^FS`);
+      continue;
+    }
+
+    // Font 0 only covers Latin-1; anything else would print blank
+    const graphic = await textToGraphicField(text.text, width, height);
+    if (!graphic) {
+      throw new Error(`"${text.text}" has characters the printer font lacks; generate this ZPL in the browser, which draws them as graphics`);
+    }
+    fields.push(`^FO0,${top}${graphic}^FS`);
+  }
+
+  return [
+    '^XA',
+    '^CI28', // Field data is UTF-8
+    `^PW${width}`,
+    `^LL${dots(layout.cellHeight)}`,
+    ...fields,
+    ...(copies > 1 ? [`^PQ${copies}`] : []),
+    '^XZ'
+  ].join('\n');
+}
+
+/**
+ * Generate a ZPL file with one label per serial
+ * @param {{ serial: string, lines: string[] }[]} labels - Validated serials with their text lines
+ * @param {object} job
+ * @param {object} job.layout - Resolved layout
+ * @param {object} job.payloadOptions - Payload options including label type
+ * @param {object} job.template - Label template
+ * @param {number} job.dpi - Printer resolution (203 or 300)
+ * @param {number} job.copies - Printed copies of each label
+ * @param {function} job.onProgress - Progress callback (current, total)
+ * @param {AbortSignal} job.signal - Cancels the job
+ * @returns {Promise<Blob>}
+ */
+export async function generateZPL(labels, { layout, payloadOptions, template = {}, dpi = 203, copies = 1, onProgress = null, signal = null }) {
+  const output = [];
+
+  for (let i = 0; i < labels.length; i++) {
+    await labelCheckpoint(i, signal);
+    const { serial, lines } = labels[i];
+    const payload = await createQRPayload(serial, payloadOptions);
+    output.push(await renderLabelZPL(serial, payload, layout, lines, template, dpi, copies));
+
+    if (onProgress) {
+      onProgress(i + 1, labels.length);
+    }
+  }
+
+  return new Blob([`${output.join('\n')}\n`], { type: 'text/plain' });
+}
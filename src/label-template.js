@@ -0,0 +1,303 @@
+/**
+ * Label Templates
+ * What goes on a label besides the QR code, and where it goes
+ *
+ * A template has up to MAX_TEMPLATE_LINES text lines with placeholders, an
+ * optional logo above the QR code and an optional Code 128 barcode below it.
+ * planLabel() turns it into positioned elements that every output format
+ * (PDF, SVG/PNG, ZPL) draws the same way, shrinking or wrapping text so it
+ * stays inside the cell.
+ *
+ * Placeholders: {serial}, {date} (today, YYYY-MM-DD), {type} (box or
+ * location) and the column names of an imported file, e.g. {Owner}.
+ */
+
+import { canEncodeCode128, encodeCode128, getCode128Width } from './code128.js';
+
+export const MAX_TEMPLATE_LINES = 4;
+export const MM_PER_POINT = 0.3528;
+
+const MIN_FONT_SIZE = 5;       // pt; smaller text is unreadable on most printers
+const FONT_STEP = 0.5;         // pt
+const LINE_SPACING = 1.15;
+const EXTRA_LINE_SPACING = 1.2;
+const PADDING = 1;             // mm kept free at the cell's left and right edges
+const GAP = 1;                 // mm between the logo, QR code and barcode
+const LOGO_MAX_HEIGHT = 8;     // mm
+const BARCODE_MAX_HEIGHT = 8;  // mm
+const BARCODE_QUIET_ZONE = 10; // modules on each side
+const BARCODE_MAX_MODULE = 0.33; // mm; wider bars don't scan any better
+const MIN_QR_SCALE = 0.75;     // the QR code may shrink this far to make room for text lines
+const MIN_QR_SIZE = 5;         // mm
+
+// Average glyph width relative to the font size, when text can't be measured
+const AVERAGE_CHAR_WIDTH = 0.55;
+const MEASURE_FONT = 'Helvetica, Arial, sans-serif';
+
+let measureContext;
+
+/**
+ * Width of text set in the label font. Uses canvas metrics in the browser
+ * (page or worker), an average glyph width elsewhere.
+ * @param {string} text
+ * @param {number} fontSize - pt
+ * @returns {number} - mm
+ */
+export function estimateTextWidth(text, fontSize) {
+  if (measureContext === undefined) {
+    if (typeof document !== 'undefined') {
+      measureContext = document.createElement('canvas').getContext('2d');
+    } else if (typeof OffscreenCanvas !== 'undefined') {
+      measureContext = new OffscreenCanvas(1, 1).getContext('2d'); // In a worker
+    } else {
+      measureContext = null;
+    }
+    if (measureContext) {
+      measureContext.font = `100px ${MEASURE_FONT}`;
+    }
+  }
+
+  const size = fontSize * MM_PER_POINT;
+  return measureContext
+    ? measureContext.measureText(text).width / 100 * size
+    : text.length * size * AVERAGE_CHAR_WIDTH;
+}
+
+/**
+ * Today's date as YYYY-MM-DD in local time
+ */
+function today() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Fill in a template line. A line whose placeholders are all empty is dropped.
+ * @param {string} line - e.g. "Owner: {Owner}"
+ * @param {Record<string, string>} values - Placeholder values
+ * @returns {string} - Expanded line, or '' to leave it out
+ */
+export function expandTemplateLine(line, values) {
+  let placeholders = 0;
+  let filled = 0;
+
+  const text = line.replace(/\{([^{}]+)\}/g, (match, name) => {
+    const value = values[name.trim()];
+    placeholders++;
+    if (value) {
+      filled++;
+    }
+    return value || '';
+  });
+
+  return placeholders > 0 && filled === 0 ? '' : text.trim();
+}
+
+/**
+ * Text lines printed under the serial on one label
+ * @param {object} template - Label template (see getLabelTemplate in settings.js)
+ * @param {string} serialNumber
+ * @param {Record<string, string>} fields - Imported columns for this serial
+ * @param {'box'|'location'} labelType
+ * @returns {string[]}
+ */
+export function getTemplateLines(template, serialNumber, fields = {}, labelType = 'box') {
+  // Without template lines, imported columns are printed as they are
+  if (!template.lines || template.lines.length === 0) {
+    return Object.values(fields).filter(Boolean);
+  }
+
+  const values = { ...fields, serial: serialNumber, date: today(), type: labelType };
+  return template.lines
+    .slice(0, MAX_TEMPLATE_LINES)
+    .map(line => expandTemplateLine(line, values))
+    .filter(Boolean);
+}
+
+/**
+ * Split text into lines no wider than width, preferring breaks after spaces and - _ / .
+ * @returns {string[]}
+ */
+function wrapText(text, width, fontSize, measure) {
+  const lines = [];
+  let line = '';
+
+  for (const token of text.split(/(?<=[\s\-_/.])/)) {
+    if (!line || measure(line + token, fontSize) <= width) {
+      line += token;
+      continue;
+    }
+    lines.push(line.trim());
+    line = token;
+  }
+  lines.push(line.trim());
+
+  // Break tokens that are too wide on their own
+  return lines.flatMap((part) => {
+    const pieces = [];
+    let piece = '';
+    for (const char of part) {
+      if (piece && measure(piece + char, fontSize) > width) {
+        pieces.push(piece);
+        piece = '';
+      }
+      piece += char;
+    }
+    pieces.push(piece);
+    return pieces;
+  });
+}
+
+/**
+ * Cut text off with an ellipsis so it is no wider than width
+ */
+function truncateText(text, width, fontSize, measure) {
+  const chars = Array.from(text);
+  while (chars.length > 0 && measure(`${chars.join('')}…`, fontSize) > width) {
+    chars.pop();
+  }
+  return `${chars.join('')}…`;
+}
+
+/**
+ * Fit text into a box by shrinking the font and, if allowed, wrapping.
+ * Text that still doesn't fit at MIN_FONT_SIZE is cut off with an ellipsis.
+ * @param {string} text
+ * @param {object} box
+ * @param {number} box.width - mm
+ * @param {number} box.height - mm
+ * @param {number} box.fontSize - Preferred size, pt
+ * @param {number} box.maxLines - More than 1 allows wrapping
+ * @param {function(string, number): number} measure - Text width in mm at a font size in pt
+ * @returns {{ lines: string[], fontSize: number }}
+ */
+export function fitText(text, { width, height, fontSize, maxLines = 1 }, measure = estimateTextWidth) {
+  const fitsHeight = (count, size) => count * size * MM_PER_POINT * LINE_SPACING <= height + 0.01;
+
+  for (let size = fontSize; size >= MIN_FONT_SIZE; size -= FONT_STEP) {
+    const lines = measure(text, size) <= width || maxLines === 1
+      ? [text]
+      : wrapText(text, width, size, measure);
+
+    if (lines.length <= maxLines && fitsHeight(lines.length, size) && lines.every(line => measure(line, size) <= width)) {
+      return { lines, fontSize: size };
+    }
+  }
+
+  const size = Math.min(fontSize, MIN_FONT_SIZE);
+  const lines = maxLines > 1 ? wrapText(text, width, size, measure) : [text];
+  const kept = lines.slice(0, maxLines);
+  if (lines.length > maxLines || measure(kept[kept.length - 1], size) > width) {
+    kept[kept.length - 1] = truncateText(kept[kept.length - 1], width, size, measure);
+  }
+  return { lines: kept, fontSize: size };
+}
+
+/**
+ * Lay out one label inside a cell
+ * @param {string} serialNumber - Serial, or location code for location labels
+ * @param {string[]} lines - Extra text lines (see getTemplateLines)
+ * @param {object} layout - Resolved layout
+ * @param {object} template - Label template
+ * @param {function(string, number): number} measure - Text width in mm at a font size in pt
+ * @returns {object} - Elements positioned in mm relative to the cell's top-left corner:
+ *   qr { x, y, size }, logo { x, y, width, height, dataUrl } or null,
+ *   barcode { x, y, width, height, bars, modules } or null,
+ *   texts [{ text, x (center), y (baseline), fontSize (pt) }]
+ */
+export function planLabel(serialNumber, lines, layout, template = {}, measure = estimateTextWidth) {
+  const textWidth = layout.cellWidth - 2 * PADDING;
+  const centerX = layout.cellWidth / 2;
+
+  // Logo: at most LOGO_MAX_HEIGHT tall, keeping its aspect ratio
+  let logo = null;
+  if (template.logo && template.logo.width > 0 && template.logo.height > 0) {
+    const aspect = template.logo.width / template.logo.height;
+    let height = Math.min(LOGO_MAX_HEIGHT, layout.cellHeight * 0.15);
+    let width = height * aspect;
+    if (width > textWidth) {
+      width = textWidth;
+      height = width / aspect;
+    }
+    logo = { width, height, dataUrl: template.logo.dataUrl };
+  }
+
+  // Barcode: only for serials Code 128 can carry, at a module width that fits the cell
+  let barcode = null;
+  if (template.barcode && canEncodeCode128(serialNumber)) {
+    const bars = encodeCode128(serialNumber);
+    const modules = getCode128Width(bars);
+    const moduleWidth = Math.min(BARCODE_MAX_MODULE, textWidth / (modules + 2 * BARCODE_QUIET_ZONE));
+    barcode = {
+      width: modules * moduleWidth,
+      height: Math.min(BARCODE_MAX_HEIGHT, layout.cellHeight * 0.12),
+      bars,
+      modules
+    };
+  }
+
+  // Space for everything but the QR code and extra lines
+  const fixedHeight = (logo ? logo.height + GAP : 0) + (barcode ? barcode.height + GAP : 0) + layout.labelHeight;
+
+  // Extra lines may shrink the QR code to MIN_QR_SCALE of its size
+  const extraFontSize = layout.fontSize * 0.8;
+  const extraLineHeight = extraFontSize * MM_PER_POINT * EXTRA_LINE_SPACING;
+  const minQRSize = layout.qrSize * MIN_QR_SCALE;
+  const lineCount = Math.min(lines.length, Math.max(0, Math.floor((layout.cellHeight - fixedHeight - minQRSize) / extraLineHeight)));
+  const qrSize = Math.min(layout.qrSize, layout.cellWidth, layout.cellHeight - fixedHeight - lineCount * extraLineHeight);
+
+  if (qrSize < MIN_QR_SIZE) {
+    throw new Error('Label content does not fit in the cell; remove the logo or barcode, or use larger labels');
+  }
+
+  // Stack everything, centered vertically
+  const contentHeight = fixedHeight + qrSize + lineCount * extraLineHeight;
+  let y = (layout.cellHeight - contentHeight) / 2;
+
+  if (logo) {
+    logo.x = centerX - logo.width / 2;
+    logo.y = y;
+    y += logo.height + GAP;
+  }
+
+  const qr = { x: centerX - qrSize / 2, y, size: qrSize };
+  y += qrSize;
+
+  if (barcode) {
+    barcode.x = centerX - barcode.width / 2;
+    barcode.y = y + GAP;
+    y += barcode.height + GAP;
+  }
+
+  // Serial, centered in the label area
+  const serial = fitText(serialNumber, {
+    width: textWidth,
+    height: layout.labelHeight,
+    fontSize: layout.fontSize,
+    maxLines: template.textFit === 'wrap' ? 2 : 1
+  }, measure);
+  const serialSize = serial.fontSize * MM_PER_POINT;
+  const serialLineHeight = serialSize * LINE_SPACING;
+  const serialTop = y + (layout.labelHeight - serial.lines.length * serialLineHeight) / 2;
+  const texts = serial.lines.map((text, index) => ({
+    text,
+    x: centerX,
+    y: serialTop + (index + 1) * serialLineHeight - (serialLineHeight - serialSize) / 2 - serialSize * 0.2,
+    fontSize: serial.fontSize
+  }));
+  y += layout.labelHeight;
+
+  // Extra lines, one line each
+  lines.slice(0, lineCount).forEach((line, index) => {
+    const fitted = fitText(line, { width: textWidth, height: extraLineHeight, fontSize: extraFontSize }, measure);
+    texts.push({
+      text: fitted.lines[0],
+      x: centerX,
+      y: y + (index + 1) * extraLineHeight - 0.5,
+      fontSize: fitted.fontSize
+    });
+  });
+
+  return { qr, logo, barcode, texts };
+}
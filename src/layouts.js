@@ -0,0 +1,209 @@
+/**
+ * Label Sheet Layouts
+ * Named page/grid presets for the PDF generator, plus custom layouts
+ *
+ * All dimensions are in mm. A layout describes the page, the margins,
+ * the size of each label cell and the gap between cells. Columns and
+ * rows are fitted to the page unless given explicitly.
+ */
+
+// Paper sizes (portrait, mm)
+export const PAGE_SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 }
+};
+
+/**
+ * Layout presets
+ * - cellWidth / cellHeight default to the QR size plus padding
+ * - cols / rows default to as many cells as fit inside the margins
+ */
+export const LAYOUT_PRESETS = {
+  a4: {
+    name: 'A4 (3x5, 40mm QR)',
+    pageWidth: PAGE_SIZES.a4.width,
+    pageHeight: PAGE_SIZES.a4.height,
+    marginX: 10,
+    marginY: 10,
+    qrSize: 40,
+    labelHeight: 8
+  },
+  // Narrower cells to fit a fourth column
+  'a4-4x5': {
+    name: 'A4 (4x5, 40mm QR)',
+    pageWidth: PAGE_SIZES.a4.width,
+    pageHeight: PAGE_SIZES.a4.height,
+    marginX: 10,
+    marginY: 10,
+    cellWidth: 47.5,
+    cols: 4,
+    rows: 5,
+    qrSize: 40,
+    labelHeight: 8
+  },
+  letter: {
+    name: 'US Letter (4x5, 38mm QR)',
+    pageWidth: PAGE_SIZES.letter.width,
+    pageHeight: PAGE_SIZES.letter.height,
+    marginX: 10,
+    marginY: 10,
+    qrSize: 38,
+    labelHeight: 8
+  },
+  'avery-22806': {
+    name: 'Avery 22806 (Letter, 2" square, 3x4)',
+    pageWidth: PAGE_SIZES.letter.width,
+    pageHeight: PAGE_SIZES.letter.height,
+    marginX: 15.9,
+    marginY: 15.9,
+    cellWidth: 50.8,
+    cellHeight: 50.8,
+    gutterX: 15.9,
+    gutterY: 14.8,
+    cols: 3,
+    rows: 4,
+    qrSize: 38,
+    labelHeight: 7,
+    cutLines: false
+  },
+  'avery-l7160': {
+    name: 'Avery L7160 (A4, 63.5x38.1mm, 3x7)',
+    pageWidth: PAGE_SIZES.a4.width,
+    pageHeight: PAGE_SIZES.a4.height,
+    marginX: 7.2,
+    marginY: 15.1,
+    cellWidth: 63.5,
+    cellHeight: 38.1,
+    gutterX: 2.5,
+    gutterY: 0,
+    cols: 3,
+    rows: 7,
+    qrSize: 28,
+    labelHeight: 6,
+    fontSize: 8,
+    cutLines: false
+  },
+  'thermal-62': {
+    name: 'Thermal roll 62mm (one label per page)',
+    pageWidth: 62,
+    pageHeight: 70,
+    marginX: 3,
+    marginY: 3,
+    cellWidth: 56,
+    cellHeight: 64,
+    cols: 1,
+    rows: 1,
+    qrSize: 50,
+    labelHeight: 8,
+    cutLines: false
+  }
+};
+
+export const DEFAULT_LAYOUT_ID = 'a4';
+
+/**
+ * Fill in derived values and validate a layout
+ * @param {object} layout - Preset or custom layout
+ * @returns {object} - Layout with cellWidth, cellHeight, cols, rows and perPage set
+ */
+export function resolveLayout(layout) {
+  const resolved = {
+    name: 'Custom',
+    gutterX: 0,
+    gutterY: 0,
+    labelHeight: 8,
+    fontSize: 10,
+    cutLines: true,
+    ...layout
+  };
+
+  const numericFields = ['pageWidth', 'pageHeight', 'marginX', 'marginY', 'qrSize', 'labelHeight', 'gutterX', 'gutterY'];
+  for (const field of numericFields) {
+    const value = Number(resolved[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid layout: ${field} must be a non-negative number`);
+    }
+    resolved[field] = value;
+  }
+
+  if (resolved.qrSize <= 0 || resolved.pageWidth <= 0 || resolved.pageHeight <= 0) {
+    throw new Error('Invalid layout: page and QR size must be greater than zero');
+  }
+
+  resolved.cellWidth = Number(resolved.cellWidth) || resolved.qrSize + 10;          // QR + horizontal padding
+  resolved.cellHeight = Number(resolved.cellHeight) || resolved.qrSize + resolved.labelHeight + 5; // QR + label + padding
+
+  if (resolved.qrSize > resolved.cellWidth || resolved.qrSize + resolved.labelHeight > resolved.cellHeight) {
+    throw new Error('Invalid layout: QR code and label do not fit in the cell');
+  }
+
+  // Fit as many cells as the page allows, unless given explicitly
+  const usableWidth = resolved.pageWidth - 2 * resolved.marginX;
+  const usableHeight = resolved.pageHeight - 2 * resolved.marginY;
+  const fitCols = Math.floor((usableWidth + resolved.gutterX) / (resolved.cellWidth + resolved.gutterX));
+  const fitRows = Math.floor((usableHeight + resolved.gutterY) / (resolved.cellHeight + resolved.gutterY));
+
+  resolved.cols = Math.floor(Number(resolved.cols)) || fitCols;
+  resolved.rows = Math.floor(Number(resolved.rows)) || fitRows;
+
+  if (resolved.cols < 1 || resolved.rows < 1) {
+    throw new Error('Invalid layout: no label cell fits on the page');
+  }
+
+  const gridWidth = resolved.marginX + resolved.cols * resolved.cellWidth + (resolved.cols - 1) * resolved.gutterX;
+  const gridHeight = resolved.marginY + resolved.rows * resolved.cellHeight + (resolved.rows - 1) * resolved.gutterY;
+  // Allow a little slack for rounded label sheet measurements
+  if (gridWidth > resolved.pageWidth + 0.5 || gridHeight > resolved.pageHeight + 0.5) {
+    throw new Error('Invalid layout: grid does not fit on the page');
+  }
+
+  resolved.perPage = resolved.cols * resolved.rows;
+  return resolved;
+}
+
+/**
+ * Get the top-left corner of a cell on the page
+ * @param {object} layout - Resolved layout
+ * @param {number} positionOnPage - Cell index, row-major
+ * @returns {{ x: number, y: number }}
+ */
+export function getCellPosition(layout, positionOnPage) {
+  const col = positionOnPage % layout.cols;
+  const row = Math.floor(positionOnPage / layout.cols);
+  return {
+    x: layout.marginX + col * (layout.cellWidth + layout.gutterX),
+    y: layout.marginY + row * (layout.cellHeight + layout.gutterY)
+  };
+}
+
+/**
+ * Build a custom layout from the generator's form fields
+ * @param {object} fields - Values from the custom layout form
+ * @returns {object} - Unresolved layout
+ */
+export function buildCustomLayout(fields) {
+  const page = PAGE_SIZES[fields.pageSize];
+  const layout = {
+    name: 'Custom',
+    pageWidth: page ? page.width : fields.pageWidth,
+    pageHeight: page ? page.height : fields.pageHeight,
+    marginX: fields.marginX,
+    marginY: fields.marginY,
+    qrSize: fields.qrSize,
+    gutterX: fields.gutterX,
+    gutterY: fields.gutterY,
+    cols: fields.cols,
+    rows: fields.rows
+  };
+
+  // Rolls: one label per page, the page is the label
+  if (fields.onePerPage) {
+    layout.cols = 1;
+    layout.rows = 1;
+    layout.cellWidth = layout.pageWidth - 2 * layout.marginX;
+    layout.cellHeight = layout.pageHeight - 2 * layout.marginY;
+    layout.cutLines = false;
+  }
+
+  return layout;
+}
@@ -0,0 +1,149 @@
+/**
+ * Box Locations
+ * Records which shelf/location each box was last put away on (stored in localStorage)
+ */
+
+import { downloadBlob } from './download.js';
+import { toCSV } from './csv.js';
+import { matchSerial } from './target-matcher.js';
+
+const STORAGE_KEY = 'qr-box-finder:locations';
+
+let assignments = null; // serial -> { location, assignedAt }
+
+/**
+ * Get localStorage if available (not in Node or some private modes)
+ */
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Load assignments from storage on first use
+ * @returns {Map<string, { location: string, assignedAt: number }>}
+ */
+function getAssignments() {
+  if (!assignments) {
+    assignments = new Map();
+
+    const storage = getStorage();
+    if (storage) {
+      try {
+        const stored = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+        for (const [serial, entry] of Object.entries(stored)) {
+          assignments.set(serial, entry);
+        }
+      } catch (err) {
+        // Ignore corrupt data
+      }
+    }
+  }
+  return assignments;
+}
+
+/**
+ * Persist assignments
+ */
+function saveAssignments() {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(getAssignments())));
+  } catch (err) {
+    console.error('Failed to save box locations:', err);
+  }
+}
+
+/**
+ * Record that a box was put away at a location
+ * @param {string} serialNumber
+ * @param {string} location - Location code from a location label
+ * @returns {string|null} - The box's previous location, if it had one
+ */
+export function assignBoxLocation(serialNumber, location) {
+  const previous = getAssignments().get(serialNumber);
+  getAssignments().set(serialNumber, { location, assignedAt: Date.now() });
+  saveAssignments();
+  return previous ? previous.location : null;
+}
+
+/**
+ * Get where a box was last put away
+ * @param {string} serialNumber
+ * @returns {{ location: string, assignedAt: number } | null}
+ */
+export function getBoxLocation(serialNumber) {
+  return getAssignments().get(serialNumber) || null;
+}
+
+/**
+ * Get the boxes last put away at a location
+ * @param {string} location
+ * @returns {string[]}
+ */
+export function getBoxesAtLocation(location) {
+  const serials = [];
+  for (const [serial, entry] of getAssignments()) {
+    if (entry.location === location) {
+      serials.push(serial);
+    }
+  }
+  return serials;
+}
+
+/**
+ * Find the recorded locations of boxes matching scanner search terms
+ * @param {object[]} matchers - From parseSearchTerms
+ * @returns {{ serial: string, term: string, location: string, assignedAt: number }[]}
+ */
+export function findBoxLocations(matchers) {
+  const results = [];
+  for (const [serial, entry] of getAssignments()) {
+    const term = matchSerial(matchers, serial);
+    if (term !== null) {
+      results.push({ serial, term, ...entry });
+    }
+  }
+  return results.sort((a, b) => a.serial.localeCompare(b.serial));
+}
+
+/**
+ * Number of boxes with a recorded location
+ */
+export function getAssignmentCount() {
+  return getAssignments().size;
+}
+
+/**
+ * Forget all recorded locations
+ */
+export function clearBoxLocations() {
+  getAssignments().clear();
+  saveAssignments();
+}
+
+/**
+ * Serialize all assignments as CSV
+ * @returns {string}
+ */
+export function boxLocationsToCSV() {
+  const rows = [['serial', 'location', 'assigned_at']];
+  for (const [serial, entry] of getAssignments()) {
+    rows.push([serial, entry.location, new Date(entry.assignedAt).toISOString()]);
+  }
+  return toCSV(rows);
+}
+
+/**
+ * Trigger a CSV download of all assignments
+ */
+export function downloadBoxLocations() {
+  downloadBlob(new Blob([boxLocationsToCSV()], { type: 'text/csv' }), `box-locations-${Date.now()}.csv`);
+}
@@ -0,0 +1,248 @@
+/**
+ * Pick List Module
+ * Order picking: a checklist of boxes to pull, stored in localStorage so it survives reloads
+ *
+ * The list is { name, startedAt, ordering, items }, with one item per serial:
+ *   { serial, status: 'pending'|'seen'|'confirmed', location, seenAt, confirmedAt }
+ * An item is seen once the scanner finds its label and confirmed when the
+ * picker has pulled the box. location is where the box was last put away,
+ * or the shelf label in view when it was seen.
+ */
+
+import { getBoxLocation } from './locations.js';
+
+const STORAGE_KEY = 'qr-box-finder:pick-list';
+
+// Item orderings for walking the list
+export const PICK_ORDERINGS = {
+  input: 'As listed',
+  serial: 'By serial',
+  location: 'By location',
+  status: 'Open items first'
+};
+
+let pickList; // undefined until loaded from storage, null when there is none
+
+/**
+ * Get localStorage if available (not in Node or some private modes)
+ */
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Load the pick list from storage on first use
+ * @returns {object|null}
+ */
+function loadPickList() {
+  if (pickList === undefined) {
+    pickList = null;
+
+    const storage = getStorage();
+    if (storage) {
+      try {
+        const stored = JSON.parse(storage.getItem(STORAGE_KEY));
+        if (stored && Array.isArray(stored.items)) {
+          pickList = stored;
+        }
+      } catch (err) {
+        // Ignore corrupt data
+      }
+    }
+  }
+  return pickList;
+}
+
+/**
+ * Persist the pick list
+ */
+function savePickList() {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  try {
+    if (pickList) {
+      storage.setItem(STORAGE_KEY, JSON.stringify(pickList));
+    } else {
+      storage.removeItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    console.error('Failed to save pick list:', err);
+  }
+}
+
+/**
+ * Find an item of the current list
+ * @param {string} serialNumber
+ * @returns {object|null}
+ */
+function findItem(serialNumber) {
+  const list = loadPickList();
+  return list ? list.items.find(item => item.serial === serialNumber) || null : null;
+}
+
+/**
+ * Start a new pick list, replacing the current one
+ * @param {string[]} serials - Serial numbers to pick, in the order given
+ * @param {{ name: string, ordering: string }} options
+ * @returns {object} - The new list
+ */
+export function startPickList(serials, { name = '', ordering = 'input' } = {}) {
+  const unique = Array.from(new Set(serials));
+  if (unique.length === 0) {
+    throw new Error('A pick list needs at least one serial number');
+  }
+
+  pickList = {
+    name: name.trim(),
+    startedAt: Date.now(),
+    ordering: PICK_ORDERINGS[ordering] ? ordering : 'input',
+    items: unique.map(serial => {
+      const assignment = getBoxLocation(serial);
+      return {
+        serial,
+        status: 'pending',
+        location: assignment ? assignment.location : null,
+        seenAt: null,
+        confirmedAt: null
+      };
+    })
+  };
+  savePickList();
+  return getPickList();
+}
+
+/**
+ * Get a copy of the current pick list
+ * @returns {{ name: string, startedAt: number, ordering: string, items: object[] }|null}
+ */
+export function getPickList() {
+  const list = loadPickList();
+  return list ? { ...list, items: list.items.map(item => ({ ...item })) } : null;
+}
+
+/**
+ * Mark an item seen by the scanner
+ * @param {string} serialNumber
+ * @param {string|null} location - Shelf label in view, if any
+ * @returns {boolean} - True if the item was pending
+ */
+export function markPickSeen(serialNumber, location = null) {
+  const item = findItem(serialNumber);
+  if (!item || item.status !== 'pending') {
+    return false;
+  }
+
+  item.status = 'seen';
+  item.seenAt = Date.now();
+  if (location) {
+    item.location = location;
+  }
+  savePickList();
+  return true;
+}
+
+/**
+ * Confirm that a box was pulled. Boxes whose label couldn't be scanned may be confirmed while pending.
+ * @param {string} serialNumber
+ * @returns {boolean} - False if the serial isn't on the list or already confirmed
+ */
+export function confirmPickItem(serialNumber) {
+  const item = findItem(serialNumber);
+  if (!item || item.status === 'confirmed') {
+    return false;
+  }
+
+  item.status = 'confirmed';
+  item.confirmedAt = Date.now();
+  savePickList();
+  return true;
+}
+
+/**
+ * Take back a confirmation
+ * @param {string} serialNumber
+ * @returns {boolean}
+ */
+export function unconfirmPickItem(serialNumber) {
+  const item = findItem(serialNumber);
+  if (!item || item.status !== 'confirmed') {
+    return false;
+  }
+
+  item.status = item.seenAt ? 'seen' : 'pending';
+  item.confirmedAt = null;
+  savePickList();
+  return true;
+}
+
+/**
+ * Choose how the items are ordered
+ * @param {string} ordering - A key of PICK_ORDERINGS
+ */
+export function setPickOrdering(ordering) {
+  const list = loadPickList();
+  if (list && PICK_ORDERINGS[ordering]) {
+    list.ordering = ordering;
+    savePickList();
+  }
+}
+
+/**
+ * Get copies of the items in the list's ordering
+ * @returns {object[]}
+ */
+export function getOrderedPickItems() {
+  const list = getPickList();
+  if (!list) {
+    return [];
+  }
+
+  const bySerial = (a, b) => a.serial.localeCompare(b.serial, undefined, { numeric: true });
+  const { items } = list;
+
+  if (list.ordering === 'serial') {
+    items.sort(bySerial);
+  } else if (list.ordering === 'location') {
+    // Walk the shelves in order; boxes with no known location come last
+    items.sort((a, b) => {
+      if (a.location === b.location) return bySerial(a, b);
+      if (!a.location) return 1;
+      if (!b.location) return -1;
+      return a.location.localeCompare(b.location, undefined, { numeric: true });
+    });
+  } else if (list.ordering === 'status') {
+    // Seen boxes wait to be pulled, so they lead; confirmed ones drop to the end
+    const rank = { seen: 0, pending: 1, confirmed: 2 };
+    items.sort((a, b) => rank[a.status] - rank[b.status]);
+  }
+  return items;
+}
+
+/**
+ * Count the items per status
+ * @returns {{ total: number, pending: number, seen: number, confirmed: number }}
+ */
+export function getPickProgress() {
+  const list = loadPickList();
+  const progress = { total: 0, pending: 0, seen: 0, confirmed: 0 };
+  for (const item of list ? list.items : []) {
+    progress.total++;
+    progress[item.status]++;
+  }
+  return progress;
+}
+
+/**
+ * Discard the pick list
+ */
+export function clearPickList() {
+  pickList = null;
+  savePickList();
+}
@@ -0,0 +1,129 @@
+/**
+ * Print Runs
+ * Remembers recent label runs (stored in localStorage) so chosen serials can be reprinted
+ *
+ * Each run is { id, createdAt, labelType, format, serials, labelFields },
+ * where labelFields holds the imported columns of the run's serials.
+ */
+
+const STORAGE_KEY = 'qr-box-finder:print-runs';
+
+// Runs kept, newest first; older ones are dropped
+export const MAX_PRINT_RUNS = 10;
+
+let runs = null;
+
+/**
+ * Get localStorage if available (not in Node or some private modes)
+ */
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Load runs from storage on first use
+ * @returns {object[]}
+ */
+function getRuns() {
+  if (!runs) {
+    runs = [];
+
+    const storage = getStorage();
+    if (storage) {
+      try {
+        runs = JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+      } catch (err) {
+        // Ignore corrupt data
+      }
+    }
+  }
+  return runs;
+}
+
+/**
+ * Persist runs, dropping the oldest ones if storage is full
+ */
+function saveRuns() {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  if (runs.length === 0) {
+    storage.removeItem(STORAGE_KEY);
+    return;
+  }
+
+  for (;;) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(runs));
+      return;
+    } catch (err) {
+      if (runs.length === 1) {
+        console.error('Failed to save print run:', err);
+        return;
+      }
+      runs.pop();
+    }
+  }
+}
+
+/**
+ * Record a finished run
+ * @param {object} run
+ * @param {string[]} run.serials - Expanded serial numbers (or location codes)
+ * @param {'box'|'location'} run.labelType
+ * @param {string} run.format - Output format
+ * @param {Record<string, Record<string, string>>} run.labelFields - Imported columns per serial
+ * @returns {object} - The stored run
+ */
+export function recordPrintRun({ serials, labelType, format, labelFields = {} }) {
+  const fields = {};
+  for (const serial of serials) {
+    if (labelFields[serial]) {
+      fields[serial] = labelFields[serial];
+    }
+  }
+
+  const run = {
+    id: `${Date.now()}`,
+    createdAt: Date.now(),
+    labelType,
+    format,
+    serials,
+    labelFields: fields
+  };
+
+  runs = [run, ...getRuns()].slice(0, MAX_PRINT_RUNS);
+  saveRuns();
+  return run;
+}
+
+/**
+ * Get recorded runs, newest first
+ * @returns {object[]}
+ */
+export function getPrintRuns() {
+  return getRuns().slice();
+}
+
+/**
+ * Get one recorded run
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getPrintRun(id) {
+  return getRuns().find(run => run.id === id) || null;
+}
+
+/**
+ * Forget all recorded runs
+ */
+export function clearPrintRuns() {
+  runs = [];
+  saveRuns();
+}
@@ -0,0 +1,27 @@
+/**
+ * PWA Module
+ * Registers the service worker that precaches the app for offline use
+ */
+
+import { registerSW } from 'virtual:pwa-register';
+
+/**
+ * Register the service worker
+ * @param {object} callbacks
+ * @param {function} callbacks.onNeedRefresh - A new version is waiting to be activated
+ * @param {function} callbacks.onOfflineReady - The app is cached and works offline
+ * @returns {function(): Promise<void>} - Activates the waiting version and reloads the page
+ */
+export function initPWA({ onNeedRefresh, onOfflineReady } = {}) {
+  if (!('serviceWorker' in navigator)) {
+    return async () => {};
+  }
+
+  return registerSW({
+    onNeedRefresh,
+    onOfflineReady,
+    onRegisterError(err) {
+      console.error('Service worker registration failed:', err);
+    }
+  });
+}
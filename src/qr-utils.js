@@ -1,8 +1,34 @@
 /**
  * QR Code Payload Utilities
  * Handles encoding and decoding of QR code payloads with checksums
+ *
+ * Payload versions:
+ *   v1 (legacy): {"s": serial, "src": "lablup-inventory", "cs": crc32(s + src)}
+ *   v2:          {"v": 2, "ns": namespace, "s": serial, "cs": crc32(s + ns + v), "sig"?: hmac}
+ *   v3:          same fields as v2, but the checksum is over UTF-8 bytes
+ *
+ * v1 and v2 checksums only use the low byte of each UTF-16 code unit
+ * (calculateCRC32); they are still verified that way so old labels keep working.
+ *
+ * Compact form of v2/v3, using only QR alphanumeric-mode characters:
+ *   LBX3:NS:SERIAL:CRC[:SIG]   (NS uppercased; CRC and SIG as uppercase hex)
+ *
+ * Deep-link form of v3, which phone cameras open as a link to the app:
+ *   https://host/app/#/box/SERIAL?v=3&ns=NS&cs=CRC[&sig=SIG]
+ *
+ * The optional signature is a truncated HMAC-SHA256 over "v|ns|s" with a
+ * shared key, so labels can't be forged by recomputing the CRC.
+ *
+ * Location (shelf) labels use the same v3 fields with a type marker; the type
+ * is covered by the checksum and signature, so a box label can't pass as one:
+ *   JSON:     {"v": 3, "t": "loc", "ns": ns, "s": code, "cs": crc32(s + ns + v + "loc"), "sig"?}
+ *   Compact:  LOC3:NS:CODE:CRC[:SIG]
+ *   Link:     https://host/app/#/location/CODE?v=3&ns=NS&cs=CRC[&sig=SIG]
+ *   Signed:   "v|ns|s|loc"
  */
 
+import { parseRoute, buildBoxHash, buildLocationHash } from './router.js';
+
 // CRC32 lookup table
 const CRC32_TABLE = (() => {
   const table = new Uint32Array(256);
@@ -17,65 +43,471 @@ const CRC32_TABLE = (() => {
 })();
 
 /**
- * Calculate CRC32 checksum of a string
- * @param {string} str - Input string
+ * Calculate CRC32 checksum of a byte sequence
+ * @param {ArrayLike<number>} bytes
  * @returns {string} - 8 character hex checksum
  */
-export function calculateCRC32(str) {
+function crc32Bytes(bytes) {
   let crc = 0xFFFFFFFF;
-  for (let i = 0; i < str.length; i++) {
-    const byte = str.charCodeAt(i) & 0xFF;
-    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
   }
   crc = (crc ^ 0xFFFFFFFF) >>> 0;
   return crc.toString(16).padStart(8, '0');
 }
 
 /**
- * Create QR payload object with checksum
- * @param {string} serialNumber - The serial number
- * @returns {string} - JSON string for QR code
+ * Calculate CRC32 checksum of a string (legacy, v1/v2 labels).
+ * Only the low byte of each UTF-16 code unit is used, so non-ASCII
+ * characters are not fully covered; use calculateCRC32UTF8 for new labels.
+ * @param {string} str - Input string
+ * @returns {string} - 8 character hex checksum
  */
-export function encodeQRPayload(serialNumber) {
-  const payload = {
-    s: serialNumber,
-    src: "lablup-inventory"
-  };
-  // Calculate checksum of s + src concatenated
-  payload.cs = calculateCRC32(payload.s + payload.src);
+export function calculateCRC32(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i) & 0xFF;
+  }
+  return crc32Bytes(bytes);
+}
+
+/**
+ * Calculate CRC32 checksum of the UTF-8 encoding of a string
+ * @param {string} str - Input string
+ * @returns {string} - 8 character hex checksum
+ */
+export function calculateCRC32UTF8(str) {
+  return crc32Bytes(new TextEncoder().encode(str));
+}
+
+// Payload format versions
+export const PAYLOAD_VERSION = 3;
+const SUPPORTED_VERSIONS = [2, 3];
+export const LEGACY_NAMESPACE = 'lablup-inventory';
+
+// Label types: boxes, and shelf/location labels (marked "loc" in payloads)
+export const LABEL_TYPES = ['box', 'location'];
+const LOCATION_MARKER = 'loc';
+
+// Compact encoding: prefixes, and the QR alphanumeric charset minus the ':' separator
+const COMPACT_PREFIX = 'LBX';
+const COMPACT_LOCATION_PREFIX = 'LOC';
+const COMPACT_CHARSET = /^[0-9A-Z $%*+\-./]+$/;
+
+// Number of HMAC bytes kept in the payload (96 bits)
+const SIGNATURE_BYTES = 12;
+
+// Namespaces are short identifiers like "lablup" or "lablup/seoul-dc1"
+const NAMESPACE_PATTERN = /^[A-Za-z0-9._\/-]{1,64}$/;
+
+/**
+ * Check if a namespace can be used in a payload
+ * @param {string} namespace
+ * @returns {boolean}
+ */
+export function isValidNamespace(namespace) {
+  return NAMESPACE_PATTERN.test(namespace);
+}
+
+/**
+ * Check if a serial and namespace fit the compact (alphanumeric) encoding
+ * @param {string} serialNumber
+ * @param {string} namespace - Uppercased for the compact form
+ * @returns {boolean}
+ */
+export function canEncodeCompact(serialNumber, namespace = LEGACY_NAMESPACE) {
+  return COMPACT_CHARSET.test(serialNumber) && COMPACT_CHARSET.test(namespace.toUpperCase());
+}
+
+/**
+ * Compare namespaces; the compact form carries them uppercased
+ */
+function namespaceAccepted(namespaces, namespace) {
+  const wanted = namespace.toLowerCase();
+  return namespaces.some(ns => ns.toLowerCase() === wanted);
+}
+
+/**
+ * Checksum of a versioned (v2+) payload
+ * @param {string} serialNumber - Serial or location code
+ * @param {string} namespace
+ * @param {number} version - v2 uses the legacy CRC, v3+ the UTF-8 CRC
+ * @param {'box'|'location'} type
+ * @returns {string}
+ */
+function payloadChecksum(serialNumber, namespace, version = PAYLOAD_VERSION, type = 'box') {
+  const input = serialNumber + namespace + version + (type === 'location' ? LOCATION_MARKER : '');
+  return version >= 3 ? calculateCRC32UTF8(input) : calculateCRC32(input);
+}
+
+/**
+ * Message covered by the HMAC signature
+ */
+function signatureMessage(version, namespace, serialNumber, type = 'box') {
+  const message = `${version}|${namespace}|${serialNumber}`;
+  return type === 'location' ? `${message}|${LOCATION_MARKER}` : message;
+}
+
+// Imported HMAC keys, by secret
+const hmacKeyCache = new Map();
+
+/**
+ * Import a shared secret as a Web Crypto HMAC-SHA256 key
+ * @param {string} secret
+ * @returns {Promise<CryptoKey>}
+ */
+function importHMACKey(secret) {
+  if (!globalThis.crypto || !globalThis.crypto.subtle) {
+    return Promise.reject(new Error('Web Crypto is not available (requires HTTPS)'));
+  }
+
+  if (!hmacKeyCache.has(secret)) {
+    const keyPromise = globalThis.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    hmacKeyCache.set(secret, keyPromise);
+    // Don't keep a failed import, so the next signature tries again
+    keyPromise.catch(() => {
+      if (hmacKeyCache.get(secret) === keyPromise) {
+        hmacKeyCache.delete(secret);
+      }
+    });
+  }
+  return hmacKeyCache.get(secret);
+}
+
+/**
+ * Calculate the truncated HMAC-SHA256 signature of a payload
+ * @param {string} serialNumber - Serial or location code
+ * @param {string} namespace
+ * @param {string} secret - Shared signing key
+ * @param {number} version - Payload version
+ * @param {'box'|'location'} type - Label type
+ * @returns {Promise<string>} - Hex signature
+ */
+export async function calculateSignature(serialNumber, namespace, secret, version = PAYLOAD_VERSION, type = 'box') {
+  const key = await importHMACKey(secret);
+  const message = new TextEncoder().encode(signatureMessage(version, namespace, serialNumber, type));
+  const mac = new Uint8Array(await globalThis.crypto.subtle.sign('HMAC', key, message));
+
+  return Array.from(mac.slice(0, SIGNATURE_BYTES))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Compare two strings without an early exit
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Create QR payload with version, namespace and checksum
+ * @param {string} serialNumber - The serial number, or location code for location labels
+ * @param {object} options
+ * @param {string} options.namespace - Organization/site namespace
+ * @param {string} options.signature - Precomputed signature (see createQRPayload)
+ * @param {'json'|'compact'|'url'} options.encoding - Payload encoding
+ * @param {string} options.baseUrl - App URL for the 'url' encoding
+ * @param {'box'|'location'} options.type - Label type
+ * @returns {string} - Payload string for QR code
+ */
+export function encodeQRPayload(serialNumber, { namespace = LEGACY_NAMESPACE, signature = null, encoding = 'json', baseUrl = '', type = 'box' } = {}) {
+  if (!isValidNamespace(namespace)) {
+    throw new Error(`Invalid namespace: ${namespace}`);
+  }
+  if (!LABEL_TYPES.includes(type)) {
+    throw new Error(`Unknown label type: ${type}`);
+  }
+
+  if (encoding === 'url') {
+    if (!/^https?:\/\//.test(baseUrl)) {
+      throw new Error('Deep-link labels need an http(s) app URL');
+    }
+
+    const params = {
+      v: String(PAYLOAD_VERSION),
+      ns: namespace,
+      cs: payloadChecksum(serialNumber, namespace, PAYLOAD_VERSION, type)
+    };
+    if (signature) {
+      params.sig = signature;
+    }
+    const hash = type === 'location' ? buildLocationHash(serialNumber, params) : buildBoxHash(serialNumber, params);
+    return baseUrl.replace(/#.*$/, '') + hash;
+  }
+
+  if (encoding === 'compact') {
+    if (!canEncodeCompact(serialNumber, namespace)) {
+      throw new Error(`"${serialNumber}" can't use compact encoding (only A-Z, 0-9, space and $ % * + - . /)`);
+    }
+
+    const ns = namespace.toUpperCase();
+    const fields = [
+      (type === 'location' ? COMPACT_LOCATION_PREFIX : COMPACT_PREFIX) + PAYLOAD_VERSION,
+      ns,
+      serialNumber,
+      payloadChecksum(serialNumber, ns, PAYLOAD_VERSION, type).toUpperCase()
+    ];
+    if (signature) {
+      fields.push(signature.toUpperCase());
+    }
+    return fields.join(':');
+  }
+
+  const payload = { v: PAYLOAD_VERSION };
+  if (type === 'location') {
+    payload.t = LOCATION_MARKER;
+  }
+  payload.ns = namespace;
+  payload.s = serialNumber;
+  // Calculate checksum of s + ns + v (+ "loc") concatenated
+  payload.cs = payloadChecksum(serialNumber, namespace, PAYLOAD_VERSION, type);
+  if (signature) {
+    payload.sig = signature;
+  }
   return JSON.stringify(payload);
 }
 
 /**
- * Parse and validate QR payload
+ * Create QR payload, signing it when a key is given
+ * @param {string} serialNumber - The serial number, or location code for location labels
+ * @param {object} options
+ * @param {string} options.namespace - Organization/site namespace
+ * @param {string} options.key - Shared HMAC key; unsigned if empty
+ * @param {'json'|'compact'|'url'} options.encoding - Payload encoding
+ * @param {string} options.baseUrl - App URL for the 'url' encoding
+ * @param {'box'|'location'} options.type - Label type
+ * @returns {Promise<string>}
+ */
+export async function createQRPayload(serialNumber, { namespace = LEGACY_NAMESPACE, key = '', encoding = 'json', baseUrl = '', type = 'box' } = {}) {
+  // The compact form signs the namespace as it appears on the label
+  const signedNamespace = encoding === 'compact' ? namespace.toUpperCase() : namespace;
+  const signature = key ? await calculateSignature(serialNumber, signedNamespace, key, PAYLOAD_VERSION, type) : null;
+  return encodeQRPayload(serialNumber, { namespace, signature, encoding, baseUrl, type });
+}
+
+/**
+ * Build a failed decode result
+ */
+function invalid(error, details = {}) {
+  return { valid: false, serialNumber: null, version: null, namespace: null, ...details, error };
+}
+
+/**
+ * Parse and validate a compact payload (LBX<v>:NS:SERIAL:CRC[:SIG] or LOC<v>:NS:CODE:CRC[:SIG])
+ */
+function decodeCompactPayload(rawData, namespaces) {
+  const fields = rawData.split(':');
+  const type = fields[0].startsWith(COMPACT_LOCATION_PREFIX) ? 'location' : 'box';
+  const version = parseInt(fields[0].slice(COMPACT_PREFIX.length), 10);
+
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return invalid("Unsupported version", { version: Number.isNaN(version) ? null : version });
+  }
+
+  if (fields.length < 4 || fields.length > 5 || fields.slice(1, 4).some(f => f.length === 0)) {
+    return invalid("Missing required fields", { version });
+  }
+
+  const [, namespace, serialNumber, checksum, signature] = fields;
+  const details = { version, namespace, type, encoding: 'compact' };
+
+  if (namespaces && !namespaceAccepted(namespaces, namespace)) {
+    return invalid("Unknown namespace", details);
+  }
+
+  if (checksum.toLowerCase() !== payloadChecksum(serialNumber, namespace, version, type)) {
+    return invalid("Checksum mismatch", details);
+  }
+
+  return {
+    valid: true,
+    serialNumber,
+    ...details,
+    signature: signature ? signature.toLowerCase() : null
+  };
+}
+
+/**
+ * Parse and validate a deep-link payload (https://host/app/#/box/SERIAL?v=&ns=&cs=&sig=,
+ * or #/location/CODE?... for location labels)
+ */
+function decodeURLPayload(rawData, namespaces) {
+  let url;
+  try {
+    url = new URL(rawData);
+  } catch (e) {
+    return invalid("Not a valid URL");
+  }
+
+  const route = parseRoute(url.hash);
+  if (!route || (route.name !== 'box' && route.name !== 'location')) {
+    return invalid("Not a box link");
+  }
+
+  const type = route.name;
+  const serialNumber = type === 'location' ? route.code : route.serial;
+
+  const version = parseInt(route.params.get('v'), 10);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return invalid("Unsupported version", { version: Number.isNaN(version) ? null : version });
+  }
+
+  const namespace = route.params.get('ns');
+  const checksum = route.params.get('cs');
+  if (!serialNumber || !namespace || !checksum) {
+    return invalid("Missing required fields", { version });
+  }
+
+  const details = { version, namespace, type, encoding: 'url' };
+  if (namespaces && !namespaceAccepted(namespaces, namespace)) {
+    return invalid("Unknown namespace", details);
+  }
+
+  if (checksum !== payloadChecksum(serialNumber, namespace, version, type)) {
+    return invalid("Checksum mismatch", details);
+  }
+
+  return {
+    valid: true,
+    serialNumber,
+    ...details,
+    signature: route.params.get('sig') || null
+  };
+}
+
+/**
+ * Parse and validate QR payload (structure, namespace and checksum).
+ * Signatures are reported but not checked; use verifyQRPayload for that.
  * @param {string} rawData - Raw QR code content
- * @returns {{ valid: boolean, serialNumber: string | null, error?: string }}
+ * @param {object} options
+ * @param {string[]} options.namespaces - Accepted namespaces; any if omitted
+ * @param {boolean} options.acceptLegacy - Accept v1 labels (default true)
+ * @returns {{ valid: boolean, serialNumber: string | null, version: number | null,
+ *   namespace: string | null, type?: 'box'|'location', encoding?: string,
+ *   signature?: string | null, error?: string }} - serialNumber is the location code for location labels
  */
-export function decodeQRPayload(rawData) {
-  // 1. Try JSON.parse
+export function decodeQRPayload(rawData, { namespaces = null, acceptLegacy = true } = {}) {
+  // 1. Compact and deep-link forms
+  if (typeof rawData === 'string' && (rawData.startsWith(COMPACT_PREFIX) || rawData.startsWith(COMPACT_LOCATION_PREFIX))) {
+    return decodeCompactPayload(rawData, namespaces);
+  }
+  if (typeof rawData === 'string' && /^https?:\/\//i.test(rawData)) {
+    return decodeURLPayload(rawData, namespaces);
+  }
+
+  // 2. Try JSON.parse
   let payload;
   try {
     payload = JSON.parse(rawData);
   } catch (e) {
-    return { valid: false, serialNumber: null, error: "Not JSON" };
+    return invalid("Not JSON");
+  }
+
+  if (!payload || typeof payload !== 'object') {
+    return invalid("Not JSON");
+  }
+
+  // 3. Legacy v1 labels: { s, src: "lablup-inventory", cs }
+  if (payload.v === undefined) {
+    if (!payload.s || !payload.src || !payload.cs) {
+      return invalid("Missing required fields");
+    }
+
+    if (payload.src !== LEGACY_NAMESPACE) {
+      return invalid("Unknown source");
+    }
+
+    const details = { version: 1, namespace: LEGACY_NAMESPACE, type: 'box', encoding: 'json' };
+    if (!acceptLegacy) {
+      return invalid("Legacy label not accepted", details);
+    }
+
+    if (payload.cs !== calculateCRC32(payload.s + payload.src)) {
+      return invalid("Checksum mismatch", details);
+    }
+
+    return { valid: true, serialNumber: payload.s, ...details, signature: null };
+  }
+
+  // 4. Versioned labels (v2, v3): { v, t?, ns, s, cs, sig? }
+  if (!SUPPORTED_VERSIONS.includes(payload.v)) {
+    return invalid("Unsupported version", { version: payload.v });
   }
 
-  // 2. Check required fields exist
-  if (!payload.s || !payload.src || !payload.cs) {
-    return { valid: false, serialNumber: null, error: "Missing required fields" };
+  if (!payload.s || !payload.ns || !payload.cs) {
+    return invalid("Missing required fields", { version: payload.v });
   }
 
-  // 3. Check 'src' field equals "lablup-inventory"
-  if (payload.src !== "lablup-inventory") {
-    return { valid: false, serialNumber: null, error: "Unknown source" };
+  if (payload.t !== undefined && payload.t !== LOCATION_MARKER) {
+    return invalid("Unknown label type", { version: payload.v });
+  }
+
+  const type = payload.t === LOCATION_MARKER ? 'location' : 'box';
+  const details = { version: payload.v, namespace: payload.ns, type, encoding: 'json' };
+  if (namespaces && !namespaceAccepted(namespaces, payload.ns)) {
+    return invalid("Unknown namespace", details);
+  }
+
+  if (payload.cs !== payloadChecksum(payload.s, payload.ns, payload.v, type)) {
+    return invalid("Checksum mismatch", details);
+  }
+
+  return {
+    valid: true,
+    serialNumber: payload.s,
+    ...details,
+    signature: typeof payload.sig === 'string' ? payload.sig : null
+  };
+}
+
+/**
+ * Decode a QR payload and check its HMAC signature
+ * @param {string} rawData - Raw QR code content
+ * @param {object} options - decodeQRPayload options, plus:
+ * @param {string} options.key - Shared HMAC key
+ * @param {boolean} options.requireSignature - Reject unsigned labels
+ * @returns {Promise<object>} - decodeQRPayload result with `verified` set
+ */
+export async function verifyQRPayload(rawData, options = {}) {
+  const { key = '', requireSignature = false } = options;
+  const parsed = decodeQRPayload(rawData, options);
+
+  if (!parsed.valid) {
+    return parsed;
+  }
+
+  if (!parsed.signature) {
+    if (requireSignature) {
+      return invalid("Unsigned label", { version: parsed.version, namespace: parsed.namespace });
+    }
+    return { ...parsed, verified: false };
+  }
+
+  if (!key) {
+    if (requireSignature) {
+      return invalid("No signing key configured", { version: parsed.version, namespace: parsed.namespace });
+    }
+    return { ...parsed, verified: false };
   }
 
-  // 4. Verify checksum matches
-  const expectedChecksum = calculateCRC32(payload.s + payload.src);
-  if (payload.cs !== expectedChecksum) {
-    return { valid: false, serialNumber: null, error: "Checksum mismatch" };
+  const expected = await calculateSignature(parsed.serialNumber, parsed.namespace, key, parsed.version, parsed.type);
+  if (!timingSafeEqual(parsed.signature, expected)) {
+    return invalid("Signature mismatch", { version: parsed.version, namespace: parsed.namespace });
   }
 
-  // 5. Return success
-  return { valid: true, serialNumber: payload.s };
+  return { ...parsed, verified: true };
 }
@@ -0,0 +1,159 @@
+/**
+ * Replay Frame Source
+ * Plays back recorded detection sequences through the Scanner, without a camera
+ *
+ * A recording lists what the detector saw over time:
+ *   {
+ *     width: 1280, height: 720,   // frame size in px, for overlay coordinates
+ *     frames: [
+ *       { at: 0, barcodes: [] },  // at: ms since the start
+ *       { at: 400, barcodes: [{ rawValue: '{"v":3,...}', cornerPoints: [{ x, y }, ...] }] }
+ *     ]
+ *   }
+ * A frame stays current until the next one; the replay ends after the last.
+ * Use it for demos and for driving the scanner in tests (with a manual clock).
+ */
+
+import { systemClock } from './clock.js';
+
+/**
+ * Detector for replayed frames: returns the barcodes recorded for the frame
+ */
+export const replayDetector = {
+  detect: async frame => (frame ? frame.barcodes : []),
+  getMode: () => 'replay'
+};
+
+/**
+ * Check a recording's shape
+ * @param {object} recording
+ * @throws {Error} - If it can't be replayed
+ */
+function validateRecording(recording) {
+  if (!recording || !Array.isArray(recording.frames) || recording.frames.length === 0) {
+    throw new Error('Invalid recording: no frames');
+  }
+
+  let previous = -Infinity;
+  for (const frame of recording.frames) {
+    if (!Number.isFinite(frame.at) || frame.at < previous) {
+      throw new Error('Invalid recording: frame times must be increasing numbers');
+    }
+    if (!Array.isArray(frame.barcodes)) {
+      throw new Error('Invalid recording: every frame needs a barcodes list');
+    }
+    previous = frame.at;
+  }
+}
+
+/**
+ * Frames from a recording, timed by a clock
+ */
+export class ReplayFrameSource {
+  /**
+   * @param {object} recording - See the module comment
+   * @param {object} options
+   * @param {object} options.clock - Clock (see clock.js); the scanner should use the same one
+   * @param {boolean} options.loop - Start over after the last frame instead of ending
+   * @param {number} options.speed - Playback rate (2 = twice as fast)
+   */
+  constructor(recording, { clock = systemClock, loop = false, speed = 1 } = {}) {
+    validateRecording(recording);
+    this.recording = recording;
+    this.clock = clock;
+    this.loop = loop;
+    this.speed = speed;
+    this.detector = replayDetector;
+    this.width = recording.width || 0;
+    this.height = recording.height || 0;
+    this.startTime = null;
+    this.ended = false;
+  }
+
+  /**
+   * Start playing from the first frame
+   */
+  async start() {
+    this.startTime = this.clock.now();
+    this.ended = false;
+  }
+
+  stop() {
+    this.startTime = null;
+  }
+
+  /**
+   * The recorded frame for the current time
+   * @returns {{ barcodes: object[], width: number, height: number }|null} - null once the replay has ended
+   */
+  getFrame() {
+    if (this.startTime === null || this.ended) {
+      return null;
+    }
+
+    const { frames } = this.recording;
+    const duration = frames[frames.length - 1].at;
+    let elapsed = (this.clock.now() - this.startTime) * this.speed;
+
+    if (elapsed > duration) {
+      if (!this.loop || duration === 0) {
+        this.ended = true;
+        return null;
+      }
+      elapsed %= duration;
+    }
+
+    let current = frames[0];
+    for (const frame of frames) {
+      if (frame.at > elapsed) break;
+      current = frame;
+    }
+    return { barcodes: current.barcodes, width: this.width, height: this.height };
+  }
+}
+
+/**
+ * Wrap a detector so that what it detects is recorded for replay
+ * @param {object} detector - Detector with detect(frame, options)
+ * @param {object} clock - Clock timing the recording
+ * @returns {{ detect: function, getMode: function, getRecording: function(): object }}
+ */
+export function createRecordingDetector(detector, clock = systemClock) {
+  let startTime = null;
+  let size = { width: 0, height: 0 };
+  const frames = [];
+
+  return {
+    async detect(frame, options) {
+      const barcodes = await detector.detect(frame, options);
+      const now = clock.now();
+      if (startTime === null) {
+        startTime = now;
+      }
+      if (frame) {
+        size = { width: frame.videoWidth || frame.width || 0, height: frame.videoHeight || frame.height || 0 };
+      }
+
+      frames.push({
+        at: Math.round(now - startTime),
+        barcodes: barcodes.map(({ rawValue, cornerPoints, boundingBox }) => ({
+          rawValue,
+          cornerPoints: cornerPoints ? cornerPoints.map(({ x, y }) => ({ x, y })) : undefined,
+          boundingBox: boundingBox
+            ? { x: boundingBox.x, y: boundingBox.y, width: boundingBox.width, height: boundingBox.height }
+            : undefined
+        }))
+      });
+      return barcodes;
+    },
+
+    getMode: () => (detector.getMode ? detector.getMode() : 'custom'),
+
+    /**
+     * The recording so far, ready for JSON.stringify and ReplayFrameSource
+     */
+    getRecording() {
+      return { ...size, frames: frames.slice() };
+    }
+  };
+}
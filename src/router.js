@@ -0,0 +1,83 @@
+/**
+ * Hash Router
+ * Maps location.hash to app routes, e.g. #/generator, #/box/SERIAL?cs=..., #/location/CODE?cs=...
+ * or #/search?s=... (a shared search)
+ */
+
+/**
+ * Parse a location hash into a route
+ * @param {string} hash - e.g. "#/box/BOX-001?v=3&cs=..."
+ * @returns {{ name: string, serial?: string, code?: string, params: URLSearchParams } | null}
+ */
+export function parseRoute(hash) {
+  const match = (hash || '').match(/^#\/([^/?]+)(?:\/([^?]*))?(?:\?(.*))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, name, arg, query] = match;
+  const route = { name, params: new URLSearchParams(query || '') };
+
+  if (name === 'box' || name === 'location') {
+    if (!arg) {
+      return null;
+    }
+    try {
+      route[name === 'box' ? 'serial' : 'code'] = decodeURIComponent(arg);
+    } catch (err) {
+      return null; // Malformed percent-encoding
+    }
+  }
+
+  return route;
+}
+
+/**
+ * Build the hash for a box deep link
+ * @param {string} serialNumber
+ * @param {Record<string, string>} params - Query parameters (v, ns, cs, sig)
+ * @returns {string}
+ */
+export function buildBoxHash(serialNumber, params = {}) {
+  const query = new URLSearchParams(params).toString();
+  return `#/box/${encodeURIComponent(serialNumber)}${query ? '?' + query : ''}`;
+}
+
+/**
+ * Build the hash for a location (shelf) deep link
+ * @param {string} code - Location code
+ * @param {Record<string, string>} params - Query parameters (v, ns, cs, sig)
+ * @returns {string}
+ */
+export function buildLocationHash(code, params = {}) {
+  const query = new URLSearchParams(params).toString();
+  return `#/location/${encodeURIComponent(code)}${query ? '?' + query : ''}`;
+}
+
+/**
+ * Build the hash for a shared search link
+ * @param {Record<string, string>} params - Query parameters (s: the packed search)
+ * @returns {string}
+ */
+export function buildSearchHash(params) {
+  return `#/search?${new URLSearchParams(params).toString()}`;
+}
+
+/**
+ * Navigate to a route by setting location.hash
+ * @param {string} hash - e.g. "#/scanner"
+ */
+export function navigate(hash) {
+  if (window.location.hash !== hash) {
+    window.location.hash = hash;
+  }
+}
+
+/**
+ * Call back with the current route now and on every hash change
+ * @param {function} callback - Called with the parsed route (or null)
+ */
+export function onRouteChange(callback) {
+  window.addEventListener('hashchange', () => callback(parseRoute(window.location.hash)));
+  callback(parseRoute(window.location.hash));
+}
@@ -1,151 +1,112 @@
 /**
  * Scanner Module
- * Handles QR code scanning with camera using BarcodeDetector API (with polyfill for Safari)
+ * Finds search targets among the QR codes a frame source shows a detector
+ *
+ * A Scanner is driven by three injected parts:
+ * - a frame source: the camera (camera-source.js) or a recorded sequence (replay-source.js)
+ * - a detector: detect(frame, options) resolving to DetectedBarcode-like objects
+ *   ({ rawValue, cornerPoints?, boundingBox? }); defaults to the source's own
+ *   detector, else the BarcodeDetector (in a worker when supported)
+ * - a clock: now() and setTimeout/clearTimeout (clock.js), so timing can be stepped by hand
+ *
+ * It reports what it sees through events (see SCANNER_EVENTS), subscribed with on().
+ * Sources shown on screen (the camera) get an overlay marking each visible label.
  */
 
-import { BarcodeDetector as BarcodeDetectorPolyfill } from 'barcode-detector';
-import { decodeQRPayload } from './qr-utils.js';
+import { detectVideoFrame, getDetectionMode, getRegionOfInterest } from './frame-detector.js';
+import { verifyQRPayload } from './qr-utils.js';
+import { getPayloadOptions, getDetectionOptions, getFeedbackOptions, getOverlayOptions } from './settings.js';
+import { foundFeedback, labelFeedback } from './feedback.js';
+import { parseSearchTerms, matchSerial } from './target-matcher.js';
+import { parseSearchShareUrl } from './search-share.js';
+import { systemClock } from './clock.js';
 
-// Use native BarcodeDetector if available, otherwise use polyfill
-const BarcodeDetector = window.BarcodeDetector || BarcodeDetectorPolyfill;
+/**
+ * Events and their detail:
+ * - scan: { serial, isTarget } for every valid box label detected, target or not
+ * - found: { serial, term, found: [{ serial, term }] } the first time a target is seen
+ * - location: { code } for every valid location (shelf) label detected
+ * - share: { search: { terms, found } } the first time a shared search link's QR code is seen in a session
+ * - visible: { visible: [{ serial, isTarget, matchedTerm, isLocation, bounds }] } when labels come into or go out of view
+ * - border-state: { state: 'idle'|'searching'|'found' }
+ * - stopped: {} when scanning stops, including at the end of a replay
+ */
+export const SCANNER_EVENTS = ['scan', 'found', 'location', 'share', 'visible', 'border-state', 'stopped'];
 
-// Scanner state
-let isScanning = false;
-let targetSerials = new Set();
-let foundSerials = new Set();
+// Detection scheduling: one detection in flight, next frame after the measured detection time
+const MIN_FRAME_INTERVAL_MS = 50;   // at most 20 fps
+const MAX_FRAME_INTERVAL_MS = 500;
+const DETECT_TIME_SMOOTHING = 0.2;  // weight of the latest sample in the moving average
 
-// Video and canvas elements
-let videoElement = null;
-let canvasElement = null;
-let canvasCtx = null;
-let barcodeDetector = null;
-let scanIntervalId = null;
+// Verified payloads by raw QR content, so signatures are only checked once
+const PAYLOAD_CACHE_LIMIT = 500;
 
-// Currently visible QR codes (with timestamps for expiry)
-let visibleQRs = new Map(); // serial -> { bounds, lastSeen, isTarget }
 const QR_VISIBILITY_TIMEOUT = 500; // ms before QR is considered "gone"
-
-// Border state with debouncing
-let currentBorderState = 'idle';
-let lastFoundTime = 0;
 const BORDER_DEBOUNCE_MS = 300;
 
-// Animation frame for overlay
-let animationFrameId = null;
+// Default detector for video frames
+const videoFrameDetector = { detect: detectVideoFrame, getMode: getDetectionMode };
 
-// Callbacks
-let onFoundCallback = null;
-let onBorderStateChange = null;
+// Main-thread detector for still images, created on first use
+let imageDetector = null;
 
 /**
- * Start scanning with the back camera
- * @param {string} containerId - ID of the container element
- * @returns {Promise<void>}
+ * Get the main-thread barcode detector (used for still images).
+ * Loaded on demand so the scanner also runs where the WASM polyfill can't (e.g. in Node).
  */
-export async function startScanner(containerId) {
-  if (isScanning) {
-    return;
-  }
-
-  const container = document.getElementById(containerId);
-  if (!container) {
-    throw new Error('Container element not found');
-  }
-
-  // Create video element
-  videoElement = document.createElement('video');
-  videoElement.setAttribute('playsinline', '');
-  videoElement.setAttribute('autoplay', '');
-  videoElement.style.cssText = 'width:100%;height:auto;display:block;';
-  container.innerHTML = '';
-  container.appendChild(videoElement);
-
-  // Create overlay canvas
-  canvasElement = document.createElement('canvas');
-  canvasElement.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;pointer-events:none;';
-  container.style.position = 'relative';
-  container.appendChild(canvasElement);
-  canvasCtx = canvasElement.getContext('2d');
-
-  // Initialize barcode detector
-  barcodeDetector = new BarcodeDetector({ formats: ['qr_code'] });
-
-  // Request camera with high resolution
-  try {
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: {
-        facingMode: 'environment',
-        width: { ideal: 1920 },
-        height: { ideal: 1080 }
-      }
-    });
-
-    videoElement.srcObject = stream;
-    await videoElement.play();
-
-    isScanning = true;
-
-    // Start scanning loop
-    scanIntervalId = setInterval(scanFrame, 100); // 10 fps
-
-    // Start overlay drawing loop
-    animationFrameId = requestAnimationFrame(drawOverlays);
-
-    // Update border state
-    if (targetSerials.size > 0 && onBorderStateChange) {
-      currentBorderState = 'searching';
-      onBorderStateChange('searching');
-    }
-  } catch (err) {
-    console.error('Failed to start camera:', err);
-    throw err;
+async function getImageDetector() {
+  if (!imageDetector) {
+    const { createBarcodeDetector } = await import('./barcode-detector.js');
+    imageDetector = createBarcodeDetector();
   }
+  return imageDetector;
 }
 
-/**
- * Scan a single frame for QR codes
- */
-async function scanFrame() {
-  if (!isScanning || !videoElement || !barcodeDetector) return;
-
-  try {
-    const barcodes = await barcodeDetector.detect(videoElement);
-
-    for (const barcode of barcodes) {
-      processBarcode(barcode);
-    }
-  } catch (err) {
-    // Ignore detection errors (e.g., video not ready)
+// Overlay colours: standard, and opaque labels with black outlines for high contrast
+const OVERLAY_PALETTES = {
+  standard: {
+    target: '#00FF00',
+    targetLabel: 'rgba(0, 255, 0, 0.85)',
+    other: '#FFFF00',
+    otherLabel: 'rgba(255, 255, 0, 0.85)',
+    location: '#40C4FF',
+    locationLabel: 'rgba(64, 196, 255, 0.85)',
+    text: '#000',
+    outline: null
+  },
+  highContrast: {
+    target: '#00FF00',
+    targetLabel: '#00FF00',
+    other: '#FFFFFF',
+    otherLabel: '#FFFFFF',
+    location: '#00E5FF',
+    locationLabel: '#00E5FF',
+    text: '#000',
+    outline: '#000'
   }
-}
+};
 
 /**
- * Process a detected barcode
+ * Get bounds of a detected barcode in source pixels
+ * @param {object} barcode - DetectedBarcode
+ * @returns {object|null} - { x, y, width, height, cornerPoints? }
  */
-function processBarcode(barcode) {
-  const parsed = decodeQRPayload(barcode.rawValue);
-
-  if (!parsed.valid) {
-    return; // Ignore non-lablup QR codes
-  }
-
-  const isTarget = targetSerials.has(parsed.serialNumber);
-  const now = Date.now();
-
+function getBarcodeBounds(barcode) {
   // Extract bounds from cornerPoints
-  let bounds = null;
   if (barcode.cornerPoints && barcode.cornerPoints.length === 4) {
     const xs = barcode.cornerPoints.map(p => p.x);
     const ys = barcode.cornerPoints.map(p => p.y);
-    bounds = {
+    return {
       x: Math.min(...xs),
       y: Math.min(...ys),
       width: Math.max(...xs) - Math.min(...xs),
       height: Math.max(...ys) - Math.min(...ys),
       cornerPoints: barcode.cornerPoints
     };
-  } else if (barcode.boundingBox) {
-    bounds = {
+  }
+
+  if (barcode.boundingBox) {
+    return {
       x: barcode.boundingBox.x,
       y: barcode.boundingBox.y,
       width: barcode.boundingBox.width,
@@ -153,257 +114,767 @@ function processBarcode(barcode) {
     };
   }
 
-  // Update visible QRs map
-  visibleQRs.set(parsed.serialNumber, {
-    bounds,
-    lastSeen: now,
-    isTarget
-  });
+  return null;
+}
+
+// Overlay labels are never truncated below this width (px)
+const LABEL_MIN_WIDTH = 120;
+
+// Splits text into user-perceived characters (keeps Hangul syllables and emoji intact)
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
 
-  // Track found serials (persistent)
-  if (isTarget && !foundSerials.has(parsed.serialNumber)) {
-    foundSerials.add(parsed.serialNumber);
-    triggerFoundFeedback();
+/**
+ * Split text into graphemes, falling back to code points
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), s => s.segment);
+  }
+  return Array.from(text);
+}
+
+/**
+ * Truncate text with an ellipsis so it fits the given width in the current font
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth - Width in px
+ * @returns {string}
+ */
+function truncateToWidth(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) {
+    return text;
+  }
 
-    if (onFoundCallback) {
-      onFoundCallback(parsed.serialNumber, Array.from(foundSerials));
+  // Binary search for the longest prefix that fits with the ellipsis
+  const graphemes = splitGraphemes(text);
+  let low = 0;
+  let high = graphemes.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (ctx.measureText(graphemes.slice(0, mid).join('') + '…').width <= maxWidth) {
+      low = mid;
+    } else {
+      high = mid - 1;
     }
   }
+  return graphemes.slice(0, low).join('') + '…';
 }
 
 /**
- * Draw bounding boxes on visible QR codes
+ * Draw the outline and serial label of one QR code
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} serial - Serial, or location code for location labels
+ * @param {{ bounds: object, isTarget: boolean, matchedTerm?: string|null, isLocation?: boolean }} data
+ * @param {number} scaleX - Source pixels to canvas pixels
+ * @param {number} scaleY
+ * @param {number} size - Multiplier for line width and label text (for large still images)
+ * @param {{ highContrast: boolean, textScale: number }} overlayOptions
  */
-function drawOverlays() {
-  if (!canvasCtx || !canvasElement || !videoElement) {
-    if (isScanning) {
-      animationFrameId = requestAnimationFrame(drawOverlays);
+function drawQRMarker(ctx, serial, data, scaleX, scaleY, size, overlayOptions) {
+  const palette = overlayOptions.highContrast ? OVERLAY_PALETTES.highContrast : OVERLAY_PALETTES.standard;
+  const textSize = size * overlayOptions.textScale;
+
+  // Outline: polygon from corner points, or the bounding rectangle
+  ctx.beginPath();
+  if (data.bounds.cornerPoints) {
+    const points = data.bounds.cornerPoints;
+    ctx.moveTo(points[0].x * scaleX, points[0].y * scaleY);
+    for (let i = 1; i < points.length; i++) {
+      ctx.lineTo(points[i].x * scaleX, points[i].y * scaleY);
     }
-    return;
+    ctx.closePath();
+  } else {
+    ctx.rect(
+      data.bounds.x * scaleX,
+      data.bounds.y * scaleY,
+      data.bounds.width * scaleX,
+      data.bounds.height * scaleY
+    );
+  }
+
+  const lineWidth = (overlayOptions.highContrast ? 5 : 3) * size;
+  if (palette.outline) {
+    // Dark halo keeps the outline visible on light backgrounds
+    ctx.strokeStyle = palette.outline;
+    ctx.lineWidth = lineWidth + 4 * size;
+    ctx.stroke();
+  }
+  ctx.strokeStyle = data.isLocation ? palette.location : data.isTarget ? palette.target : palette.other;
+  ctx.lineWidth = lineWidth;
+  ctx.stroke();
+
+  // Draw label
+  const labelX = (data.bounds.cornerPoints ? data.bounds.cornerPoints[0].x : data.bounds.x) * scaleX;
+  const labelY = (data.bounds.cornerPoints ? data.bounds.cornerPoints[0].y : data.bounds.y) * scaleY;
+
+  ctx.font = `bold ${14 * textSize}px sans-serif`;
+  const maxTextWidth = Math.max(LABEL_MIN_WIDTH * textSize, ctx.canvas.width - labelX - 10 * textSize);
+  // Show which search term matched when it is a pattern or a fuzzy match
+  let label = data.matchedTerm && data.matchedTerm !== serial ? `${serial} ← ${data.matchedTerm}` : serial;
+  if (data.isLocation) {
+    label = `Location ${serial}`;
   }
+  const text = truncateToWidth(ctx, label, maxTextWidth);
+  const textWidth = ctx.measureText(text).width;
+  const labelHeight = 22 * textSize;
+  const labelYPos = labelY > labelHeight + 5 * size
+    ? labelY - labelHeight - 2 * size
+    : labelY + data.bounds.height * scaleY + 2 * size;
+
+  ctx.fillStyle = data.isLocation ? palette.locationLabel : data.isTarget ? palette.targetLabel : palette.otherLabel;
+  ctx.fillRect(labelX, labelYPos, textWidth + 10 * textSize, labelHeight);
+  if (palette.outline) {
+    ctx.strokeStyle = palette.outline;
+    ctx.lineWidth = 2 * size;
+    ctx.strokeRect(labelX, labelYPos, textWidth + 10 * textSize, labelHeight);
+  }
+  ctx.fillStyle = palette.text;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, labelX + 5 * textSize, labelYPos + labelHeight / 2);
+}
+
+/**
+ * Draw the FPS/latency debug readout in the top-left corner
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ fps: number, latencyMs: number, mode: string }} stats
+ */
+function drawDetectionStats(ctx, stats) {
+  const text = `${stats.fps.toFixed(1)} fps · ${Math.round(stats.latencyMs)} ms · ${stats.mode}`;
+
+  ctx.font = '12px monospace';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(4, 4, ctx.measureText(text).width + 8, 18);
+  ctx.fillStyle = '#fff';
+  ctx.fillText(text, 8, 7);
+}
 
-  // Match canvas size to video display size
-  const rect = videoElement.getBoundingClientRect();
-  canvasElement.width = rect.width;
-  canvasElement.height = rect.height;
+// Still images are drawn at most this wide (px) to bound memory use
+const STILL_IMAGE_MAX_WIDTH = 1600;
 
-  canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+/**
+ * QR code scanner with its own targets, found serials and event listeners
+ */
+export class Scanner {
+  /**
+   * @param {object} options
+   * @param {object} options.frameSource - Where frames come from; may also be set later, while stopped
+   * @param {object} options.detector - Overrides the frame source's (or the default) detector
+   * @param {object} options.clock - Time source (see clock.js)
+   * @param {object} options.payloadOptions - Payload checks; read from settings on start if omitted
+   * @param {boolean} options.feedback - Vibrate/sound/speak as set in settings
+   */
+  constructor({ frameSource = null, detector = null, clock = systemClock, payloadOptions = null, feedback = true } = {}) {
+    this.frameSource = frameSource;
+    this.detector = detector;
+    this.clock = clock;
+    this.payloadOptions = payloadOptions;
+    this.feedback = feedback;
+
+    this.listeners = new Map(); // event -> Set of listeners
+    this.scanning = false;
+    this.targetMatchers = [];
+    this.foundSerials = new Map(); // serial -> matched search term
+    this.payloadCache = new Map();
+    this.sharesSeen = new Set(); // Raw values of shared search links reported this session
+
+    // Currently visible QR codes (with timestamps for expiry)
+    this.visibleQRs = new Map(); // serial (or "location:CODE") -> { bounds, lastSeen, isTarget, matchedTerm, isLocation }
+    this.visibleChanged = false;
+
+    // Border state with debouncing
+    this.borderState = 'idle';
+    this.lastFoundTime = -Infinity;
+
+    // Detection scheduling and the debug readout
+    this.activeDetector = null;
+    this.scanTimeoutId = null;
+    this.detectionInFlight = false;
+    this.avgDetectMs = 0;
+    this.detectionCount = 0;
+    this.statsWindowStart = 0;
+    this.detectionFps = 0;
+
+    // Preferences, read from settings when scanning starts
+    this.detectionOptions = { region: 1, maxWidth: 0, showStats: false };
+    this.feedbackOptions = getFeedbackOptions();
+    this.overlayOptions = getOverlayOptions();
+
+    // Overlay on sources shown on screen
+    this.canvasElement = null;
+    this.canvasCtx = null;
+    this.animationFrameId = null;
+  }
 
-  const now = Date.now();
-  let hasVisibleTarget = false;
+  /**
+   * Listen for an event
+   * @param {string} type - One of SCANNER_EVENTS
+   * @param {function(object): void} listener - Called with the event detail
+   * @returns {function(): void} - Removes the listener
+   */
+  on(type, listener) {
+    if (!SCANNER_EVENTS.includes(type)) {
+      throw new Error(`Unknown scanner event "${type}"`);
+    }
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
 
-  // Calculate scale from video resolution to display size
-  const scaleX = rect.width / videoElement.videoWidth;
-  const scaleY = rect.height / videoElement.videoHeight;
+  /**
+   * Stop listening for an event
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
 
-  for (const [serial, data] of visibleQRs.entries()) {
-    // Check if QR has expired
-    if (now - data.lastSeen > QR_VISIBILITY_TIMEOUT) {
-      visibleQRs.delete(serial);
-      continue;
+  /**
+   * Call the listeners of an event
+   */
+  emit(type, detail) {
+    for (const listener of this.listeners.get(type) || []) {
+      try {
+        listener(detail);
+      } catch (err) {
+        console.error(`Scanner ${type} listener failed:`, err);
+      }
     }
+  }
 
-    if (data.isTarget) {
-      hasVisibleTarget = true;
-      lastFoundTime = now;
+  /**
+   * Start scanning frames from the frame source
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.scanning) {
+      return;
+    }
+    if (!this.frameSource) {
+      throw new Error('No frame source to scan');
     }
 
-    // Draw bounding box
-    if (data.bounds) {
-      const color = data.isTarget ? '#00FF00' : '#FFFF00';
+    // Settings may have changed since the last session
+    this.payloadCache.clear();
+    this.sharesSeen.clear();
+    this.detectionOptions = getDetectionOptions();
+    this.feedbackOptions = getFeedbackOptions();
+    this.overlayOptions = getOverlayOptions();
+    this.activeDetector = this.detector || this.frameSource.detector || videoFrameDetector;
+
+    try {
+      await this.frameSource.start();
+    } catch (err) {
+      console.error('Failed to start frame source:', err);
+      this.frameSource.stop();
+      throw err;
+    }
 
-      // If we have corner points, draw a polygon
-      if (data.bounds.cornerPoints) {
-        canvasCtx.beginPath();
-        const points = data.bounds.cornerPoints;
-        canvasCtx.moveTo(points[0].x * scaleX, points[0].y * scaleY);
-        for (let i = 1; i < points.length; i++) {
-          canvasCtx.lineTo(points[i].x * scaleX, points[i].y * scaleY);
-        }
-        canvasCtx.closePath();
-        canvasCtx.strokeStyle = color;
-        canvasCtx.lineWidth = 3;
-        canvasCtx.stroke();
-      } else {
-        // Fall back to rectangle
-        const scaledX = data.bounds.x * scaleX;
-        const scaledY = data.bounds.y * scaleY;
-        const scaledW = data.bounds.width * scaleX;
-        const scaledH = data.bounds.height * scaleY;
-
-        canvasCtx.strokeStyle = color;
-        canvasCtx.lineWidth = 3;
-        canvasCtx.strokeRect(scaledX, scaledY, scaledW, scaledH);
-      }
+    this.scanning = true;
 
-      // Draw label
-      const labelX = (data.bounds.cornerPoints ? data.bounds.cornerPoints[0].x : data.bounds.x) * scaleX;
-      const labelY = (data.bounds.cornerPoints ? data.bounds.cornerPoints[0].y : data.bounds.y) * scaleY;
+    // Start scanning loop
+    this.avgDetectMs = 0;
+    this.detectionCount = 0;
+    this.detectionFps = 0;
+    this.statsWindowStart = this.clock.now();
+    this.scheduleNextFrame();
 
-      canvasCtx.fillStyle = data.isTarget ? 'rgba(0, 255, 0, 0.85)' : 'rgba(255, 255, 0, 0.85)';
-      const text = serial.length > 20 ? serial.substring(0, 17) + '...' : serial;
-      canvasCtx.font = 'bold 14px sans-serif';
-      const textWidth = canvasCtx.measureText(text).width;
-      const labelHeight = 22;
-      const labelYPos = labelY > labelHeight + 5 ? labelY - labelHeight - 2 : labelY + data.bounds.height * scaleY + 2;
+    // Start overlay drawing loop
+    if (this.frameSource.element && typeof requestAnimationFrame === 'function') {
+      this.startOverlay();
+    }
 
-      canvasCtx.fillRect(labelX, labelYPos, textWidth + 10, labelHeight);
-      canvasCtx.fillStyle = '#000';
-      canvasCtx.textBaseline = 'middle';
-      canvasCtx.fillText(text, labelX + 5, labelYPos + labelHeight / 2);
+    if (this.targetMatchers.length > 0) {
+      this.setBorderState('searching');
     }
   }
 
-  // Update border state with debouncing
-  if (targetSerials.size > 0 && onBorderStateChange) {
-    let newState;
-    if (hasVisibleTarget) {
-      newState = 'found';
-    } else if (now - lastFoundTime < BORDER_DEBOUNCE_MS) {
-      newState = 'found';
-    } else {
-      newState = 'searching';
+  /**
+   * Stop scanning
+   */
+  async stop() {
+    if (!this.scanning) {
+      return;
+    }
+
+    this.scanning = false;
+
+    // Stop scan loop
+    if (this.scanTimeoutId) {
+      this.clock.clearTimeout(this.scanTimeoutId);
+      this.scanTimeoutId = null;
     }
 
-    if (newState !== currentBorderState) {
-      currentBorderState = newState;
-      onBorderStateChange(newState);
+    // Stop animation loop
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
     }
+
+    this.frameSource.stop();
+
+    if (this.visibleQRs.size > 0) {
+      this.visibleQRs.clear();
+      this.emit('visible', { visible: [] });
+    }
+
+    this.setBorderState('idle');
+    this.emit('stopped', {});
   }
 
-  // Continue animation loop
-  if (isScanning) {
-    animationFrameId = requestAnimationFrame(drawOverlays);
+  /**
+   * Check if scanning is currently active
+   */
+  isActive() {
+    return this.scanning;
   }
-}
 
-/**
- * Stop scanning
- */
-export async function stopScanner() {
-  if (!isScanning) {
-    return;
+  /**
+   * Set the search terms to look for
+   * @param {string} input - Newline or comma separated serials, wildcard patterns or /regexes/
+   * @param {{ fuzzy: boolean }} options - Also match plain terms within a small edit distance
+   * @returns {{ count: number, errors: { term: string, message: string }[] }}
+   */
+  setTargetSerials(input, options = {}) {
+    const { matchers, errors } = parseSearchTerms(input, options);
+    return { count: this.setTargetMatchers(matchers), errors };
   }
 
-  isScanning = false;
+  /**
+   * Set compiled targets, e.g. exact serials from a list (compileExactTerm)
+   * @param {object[]} matchers - From parseSearchTerms or compileExactTerm
+   * @returns {number} - Target count
+   */
+  setTargetMatchers(matchers) {
+    this.targetMatchers = matchers;
+    this.foundSerials.clear();
+    this.visibleQRs.clear();
+    this.lastFoundTime = -Infinity;
+
+    if (this.scanning) {
+      this.setBorderState(matchers.length > 0 ? 'searching' : 'idle');
+    }
 
-  // Stop scan interval
-  if (scanIntervalId) {
-    clearInterval(scanIntervalId);
-    scanIntervalId = null;
+    return matchers.length;
   }
 
-  // Stop animation loop
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
+  /**
+   * Clear found serials and reset to searching state
+   */
+  resetFoundSerials() {
+    this.foundSerials.clear();
+    this.visibleQRs.clear();
+    this.lastFoundTime = -Infinity;
+    if (this.scanning && this.targetMatchers.length > 0) {
+      this.setBorderState('searching');
+    }
   }
 
-  // Stop video stream
-  if (videoElement && videoElement.srcObject) {
-    const tracks = videoElement.srcObject.getTracks();
-    tracks.forEach(track => track.stop());
-    videoElement.srcObject = null;
+  /**
+   * Mark serials as already found without feedback or events, e.g. to resume a shared search
+   * @param {string[]} serials - Serials matching no search term are skipped
+   * @returns {{ serial: string, term: string }[]} - All found matches
+   */
+  markFound(serials) {
+    for (const serial of serials) {
+      const term = matchSerial(this.targetMatchers, serial);
+      if (term !== null && !this.foundSerials.has(serial)) {
+        this.foundSerials.set(serial, term);
+      }
+    }
+    return this.getFoundMatches();
   }
 
-  visibleQRs.clear();
+  /**
+   * Get current scanner state
+   */
+  getState() {
+    return {
+      isScanning: this.scanning,
+      borderState: this.borderState,
+      targetCount: this.targetMatchers.length,
+      foundCount: this.foundSerials.size,
+      foundSerials: Array.from(this.foundSerials.keys()),
+      foundMatches: this.getFoundMatches(),
+      targetSerials: this.targetMatchers.map(m => m.term)
+    };
+  }
 
-  currentBorderState = 'idle';
-  if (onBorderStateChange) {
-    onBorderStateChange('idle');
+  /**
+   * Found serials with the search term each one matched
+   * @returns {{ serial: string, term: string }[]}
+   */
+  getFoundMatches() {
+    return Array.from(this.foundSerials, ([serial, term]) => ({ serial, term }));
   }
-}
 
-/**
- * Trigger haptic feedback
- */
-function triggerFoundFeedback() {
-  if (navigator.vibrate) {
-    navigator.vibrate(200);
+  /**
+   * Labels currently in view
+   * @returns {{ serial: string, isTarget: boolean, matchedTerm: string|null, isLocation: boolean, bounds: object|null }[]}
+   */
+  getVisible() {
+    return Array.from(this.visibleQRs, ([key, data]) => ({
+      serial: data.isLocation ? data.code : key,
+      isTarget: data.isTarget,
+      matchedTerm: data.matchedTerm,
+      isLocation: Boolean(data.isLocation),
+      bounds: data.bounds
+    }));
   }
-}
 
-/**
- * Set target serial numbers to search for
- * @param {string} input - Newline or comma separated serial numbers
- */
-export function setTargetSerials(input) {
-  const serials = input
-    .split(/[\n,]/)
-    .map(s => s.trim())
-    .filter(s => s.length > 0);
+  /**
+   * Get detection timing, for the debug readout
+   * @returns {{ fps: number, latencyMs: number, mode: string }}
+   */
+  getDetectionStats() {
+    const detector = this.activeDetector || this.detector || videoFrameDetector;
+    return {
+      fps: this.detectionFps,
+      latencyMs: this.avgDetectMs,
+      mode: detector.getMode ? detector.getMode() : 'custom'
+    };
+  }
 
-  targetSerials = new Set(serials);
-  foundSerials.clear();
-  visibleQRs.clear();
-  lastFoundTime = 0;
+  /**
+   * Change the border state, telling listeners
+   * @param {'idle'|'searching'|'found'} state
+   */
+  setBorderState(state) {
+    if (state !== this.borderState) {
+      this.borderState = state;
+      this.emit('border-state', { state });
+    }
+  }
 
-  if (isScanning && onBorderStateChange) {
-    currentBorderState = serials.length > 0 ? 'searching' : 'idle';
-    onBorderStateChange(currentBorderState);
+  /**
+   * Schedule the next detection, adapting the frame rate to the measured detection time
+   */
+  scheduleNextFrame() {
+    const interval = Math.min(MAX_FRAME_INTERVAL_MS, Math.max(MIN_FRAME_INTERVAL_MS, this.avgDetectMs));
+    this.scanTimeoutId = this.clock.setTimeout(() => this.scanFrame(), interval);
   }
 
-  return serials.length;
-}
+  /**
+   * Record how long a detection took, for scheduling and the debug readout
+   * @param {number} detectMs
+   */
+  recordDetectionTime(detectMs) {
+    this.avgDetectMs = this.avgDetectMs === 0
+      ? detectMs
+      : this.avgDetectMs + DETECT_TIME_SMOOTHING * (detectMs - this.avgDetectMs);
+
+    this.detectionCount++;
+    const now = this.clock.now();
+    if (now - this.statsWindowStart >= 1000) {
+      this.detectionFps = this.detectionCount * 1000 / (now - this.statsWindowStart);
+      this.detectionCount = 0;
+      this.statsWindowStart = now;
+    }
+  }
 
-/**
- * Get current scanner state
- */
-export function getScannerState() {
-  return {
-    isScanning,
-    targetCount: targetSerials.size,
-    foundCount: foundSerials.size,
-    foundSerials: Array.from(foundSerials),
-    targetSerials: Array.from(targetSerials)
-  };
-}
+  /**
+   * Scan the current frame for QR codes
+   */
+  async scanFrame() {
+    this.scanTimeoutId = null;
+    if (!this.scanning || this.detectionInFlight) return;
+
+    const frame = this.frameSource.getFrame();
+    if (this.frameSource.ended) {
+      await this.stop(); // Replay finished
+      return;
+    }
 
-/**
- * Clear found serials and reset to searching state
- */
-export function resetFoundSerials() {
-  foundSerials.clear();
-  visibleQRs.clear();
-  lastFoundTime = 0;
-  if (isScanning && targetSerials.size > 0 && onBorderStateChange) {
-    currentBorderState = 'searching';
-    onBorderStateChange('searching');
+    this.detectionInFlight = true;
+    const start = this.clock.now();
+    try {
+      const barcodes = frame ? await this.activeDetector.detect(frame, this.detectionOptions) : [];
+
+      for (const barcode of barcodes) {
+        await this.processBarcode(barcode);
+      }
+    } catch (err) {
+      // Ignore detection errors (e.g., video not ready)
+    } finally {
+      this.detectionInFlight = false;
+      this.recordDetectionTime(this.clock.now() - start);
+      if (this.scanning) {
+        this.updateVisibility();
+        this.scheduleNextFrame();
+      }
+    }
   }
-}
 
-/**
- * Set callback for when a target serial is found
- */
-export function setOnFoundCallback(callback) {
-  onFoundCallback = callback;
-}
+  /**
+   * Decode and verify a raw payload, caching the result
+   * @param {string} rawValue
+   * @returns {Promise<object>}
+   */
+  async decodeCached(rawValue) {
+    let parsed = this.payloadCache.get(rawValue);
+    if (!parsed) {
+      parsed = await verifyQRPayload(rawValue, this.payloadOptions || getPayloadOptions());
+      if (this.payloadCache.size >= PAYLOAD_CACHE_LIMIT) {
+        this.payloadCache.clear();
+      }
+      this.payloadCache.set(rawValue, parsed);
+    }
+    return parsed;
+  }
 
-/**
- * Set callback for border state changes
- */
-export function setOnBorderStateChange(callback) {
-  onBorderStateChange = callback;
-}
+  /**
+   * Process a detected barcode
+   * @param {object} barcode - DetectedBarcode
+   * @param {boolean} live - From the frame source (updates the visible labels) or a still image
+   * @returns {Promise<{ serial: string, bounds: object|null, isTarget: boolean, matchedTerm: string|null,
+   *   isLocation: boolean }|null>} - For location labels, serial is the location code
+   */
+  async processBarcode(barcode, live = true) {
+    const parsed = await this.decodeCached(barcode.rawValue);
+
+    if (live && !this.scanning) {
+      return null;
+    }
+    if (!parsed.valid) {
+      if (live) {
+        this.processShareLink(barcode.rawValue);
+      }
+      return null; // Ignore non-lablup, foreign-namespace and forged QR codes
+    }
 
-/**
- * Check if camera is available
- */
-export async function checkCameraAvailable() {
-  try {
-    const devices = await navigator.mediaDevices.enumerateDevices();
-    return devices.some(device => device.kind === 'videoinput');
-  } catch (err) {
-    return false;
+    if (parsed.type === 'location') {
+      return this.processLocationLabel(parsed.serialNumber, getBarcodeBounds(barcode), live);
+    }
+
+    const serial = parsed.serialNumber;
+    const matchedTerm = matchSerial(this.targetMatchers, serial);
+    const isTarget = matchedTerm !== null;
+    const bounds = getBarcodeBounds(barcode);
+
+    // Report every valid box label, not only targets (used by audit and put-away)
+    this.emit('scan', { serial, isTarget });
+
+    // Update visible QRs map
+    if (live) {
+      if (!this.visibleQRs.has(serial)) {
+        this.visibleChanged = true;
+        // Tone for other labels only as they come into view, not on every frame
+        if (!isTarget && this.feedback) {
+          labelFeedback(this.feedbackOptions);
+        }
+      }
+      this.visibleQRs.set(serial, {
+        bounds,
+        lastSeen: this.clock.now(),
+        isTarget,
+        matchedTerm
+      });
+    }
+
+    // Track found serials (persistent)
+    if (isTarget && !this.foundSerials.has(serial)) {
+      this.foundSerials.set(serial, matchedTerm);
+      if (this.feedback) {
+        foundFeedback(serial, this.feedbackOptions);
+      }
+      this.emit('found', { serial, term: matchedTerm, found: this.getFoundMatches() });
+    }
+
+    return { serial, bounds, isTarget, matchedTerm, isLocation: false };
   }
-}
 
-/**
- * Check if scanning is currently active
- */
-export function isScannerActive() {
-  return isScanning;
-}
+  /**
+   * Handle a location (shelf) label: never a search target, reported to put-away
+   * @param {string} code - Location code
+   * @param {object|null} bounds
+   * @param {boolean} live
+   */
+  processLocationLabel(code, bounds, live) {
+    this.emit('location', { code });
+
+    if (live) {
+      const key = `location:${code}`;
+      if (!this.visibleQRs.has(key)) {
+        this.visibleChanged = true;
+      }
+      this.visibleQRs.set(key, {
+        bounds,
+        lastSeen: this.clock.now(),
+        isTarget: false,
+        matchedTerm: null,
+        isLocation: true,
+        code
+      });
+    }
 
-// No longer need initScanner - keeping for API compatibility
-export async function initScanner() {}
+    return { serial: code, bounds, isTarget: false, matchedTerm: null, isLocation: true };
+  }
+
+  /**
+   * Report a shared search link shown as a QR code (e.g. on a colleague's screen)
+   * @param {string} rawValue
+   */
+  processShareLink(rawValue) {
+    if (this.sharesSeen.has(rawValue)) {
+      return;
+    }
+
+    const search = parseSearchShareUrl(rawValue);
+    if (search) {
+      this.sharesSeen.add(rawValue);
+      this.emit('share', { search });
+    }
+  }
+
+  /**
+   * Expire labels that went out of view and update the border state
+   */
+  updateVisibility() {
+    const now = this.clock.now();
+    let hasVisibleTarget = false;
+
+    for (const [key, data] of this.visibleQRs) {
+      // Check if QR has expired
+      if (now - data.lastSeen > QR_VISIBILITY_TIMEOUT) {
+        this.visibleQRs.delete(key);
+        this.visibleChanged = true;
+        continue;
+      }
+
+      if (data.isTarget) {
+        hasVisibleTarget = true;
+        this.lastFoundTime = now;
+      }
+    }
+
+    if (this.visibleChanged) {
+      this.visibleChanged = false;
+      this.emit('visible', { visible: this.getVisible() });
+    }
+
+    // Update border state with debouncing
+    if (this.targetMatchers.length > 0) {
+      const found = hasVisibleTarget || now - this.lastFoundTime < BORDER_DEBOUNCE_MS;
+      this.setBorderState(found ? 'found' : 'searching');
+    }
+  }
+
+  /**
+   * Lay a canvas over the frame source's element and start drawing on it
+   */
+  startOverlay() {
+    const element = this.frameSource.element;
+    this.canvasElement = document.createElement('canvas');
+    this.canvasElement.style.cssText = 'position:absolute;top:0;left:0;width:100%;height:100%;pointer-events:none;';
+    element.parentElement.appendChild(this.canvasElement);
+    this.canvasCtx = this.canvasElement.getContext('2d');
+
+    const draw = () => {
+      this.drawOverlays();
+      if (this.scanning) {
+        this.animationFrameId = requestAnimationFrame(draw);
+      }
+    };
+    this.animationFrameId = requestAnimationFrame(draw);
+  }
+
+  /**
+   * Draw bounding boxes on visible QR codes
+   */
+  drawOverlays() {
+    const source = this.frameSource;
+    const canvas = this.canvasElement;
+    const ctx = this.canvasCtx;
+    if (!canvas || !source.element) return;
+
+    this.updateVisibility();
+
+    // Match canvas size to video display size
+    const rect = source.element.getBoundingClientRect();
+    canvas.width = rect.width;
+    canvas.height = rect.height;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Calculate scale from video resolution to display size
+    const scaleX = rect.width / source.width;
+    const scaleY = rect.height / source.height;
+
+    for (const [serial, data] of this.visibleQRs.entries()) {
+      // Draw bounding box and label
+      if (data.bounds) {
+        drawQRMarker(ctx, data.isLocation ? data.code : serial, data, scaleX, scaleY, 1, this.overlayOptions);
+      }
+    }
+
+    // Show the region of interest so labels can be aimed into it
+    if (this.detectionOptions.region < 1 && source.width) {
+      const roi = getRegionOfInterest({ videoWidth: source.width, videoHeight: source.height }, this.detectionOptions.region);
+      ctx.save();
+      ctx.setLineDash([8, 6]);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(roi.x * scaleX, roi.y * scaleY, roi.width * scaleX, roi.height * scaleY);
+      ctx.restore();
+    }
+
+    if (this.detectionOptions.showStats) {
+      drawDetectionStats(ctx, this.getDetectionStats());
+    }
+  }
+
+  /**
+   * Detect QR codes in an uploaded photo, using the same decode/target pipeline as live scanning
+   * @param {Blob} file - Image file
+   * @returns {Promise<{ detections: { serial: string, bounds: object|null, isTarget: boolean, matchedTerm: string|null }[],
+   *   canvas: HTMLCanvasElement }>} - Detections and the image with overlays drawn on it
+   */
+  async scanImage(file) {
+    const bitmap = await createImageBitmap(file);
+
+    // Pick up settings changed since the last scan
+    this.payloadCache.clear();
+    this.feedbackOptions = getFeedbackOptions();
+    this.overlayOptions = getOverlayOptions();
+
+    try {
+      const barcodes = await (await getImageDetector()).detect(bitmap);
+
+      const detections = [];
+      for (const barcode of barcodes) {
+        const detection = await this.processBarcode(barcode, false);
+        if (detection) {
+          detections.push(detection);
+        }
+      }
+
+      // Draw the photo with the same green/yellow markers as the live overlay
+      const scale = Math.min(1, STILL_IMAGE_MAX_WIDTH / bitmap.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(bitmap.width * scale);
+      canvas.height = Math.round(bitmap.height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+      // Scale markers so they stay readable when the image is shown ~600px wide
+      const size = Math.max(1, canvas.width / 600);
+      for (const detection of detections) {
+        if (detection.bounds) {
+          drawQRMarker(ctx, detection.serial, detection, scale, scale, size, this.overlayOptions);
+        }
+      }
+
+      return { detections, canvas };
+    } finally {
+      bitmap.close();
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Search Sharing
+ * Packs a scanner search (target list plus found serials) into a link, so a colleague can resume it
+ *
+ * The link is the app URL with a #/search?s=... route, where s is the search
+ * as deflated, base64url-encoded JSON: { v: 1, t: search input, f: [found serials] }.
+ * Opening the link, or scanning its QR code in Scanner mode, loads the search.
+ */
+
+import QRCode from 'qrcode';
+import { deflateSync, inflateSync, strToU8, strFromU8 } from 'fflate';
+import { parseRoute, buildSearchHash } from './router.js';
+
+const SHARE_VERSION = 1;
+
+// Longest link shown as a QR code; denser codes are hard to scan off a screen
+export const MAX_SHARE_QR_LENGTH = 1500;
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Build the hash for a shared search
+ * @param {{ terms: string, found: string[] }} search - Search input and found serials
+ * @returns {string} - e.g. "#/search?s=..."
+ */
+export function buildSearchShareHash({ terms, found = [] }) {
+  const json = JSON.stringify({ v: SHARE_VERSION, t: terms.trim(), f: found });
+  return buildSearchHash({ s: toBase64Url(deflateSync(strToU8(json), { level: 9 })) });
+}
+
+/**
+ * Build a shareable link to a search
+ * @param {string} appUrl - App URL without hash (e.g. the link base URL setting)
+ * @param {{ terms: string, found: string[] }} search
+ * @returns {string}
+ */
+export function buildSearchShareUrl(appUrl, search) {
+  if (!/^https?:\/\//.test(appUrl)) {
+    throw new Error('Set the app URL (for deep-link labels) in Settings to share searches');
+  }
+  return appUrl.replace(/#.*$/, '') + buildSearchShareHash(search);
+}
+
+/**
+ * Read the search from a #/search route's parameters
+ * @param {URLSearchParams} params
+ * @returns {{ terms: string, found: string[] }}
+ * @throws {Error} - If the link is damaged or from a newer version
+ */
+export function parseSearchShare(params) {
+  let data;
+  try {
+    data = JSON.parse(strFromU8(inflateSync(fromBase64Url(params.get('s') || ''))));
+  } catch (err) {
+    throw new Error('The shared search link is damaged');
+  }
+
+  if (!data || data.v !== SHARE_VERSION || typeof data.t !== 'string') {
+    throw new Error('The shared search link is from another app version');
+  }
+  return {
+    terms: data.t,
+    found: Array.isArray(data.f) ? data.f.map(String).filter(Boolean) : []
+  };
+}
+
+/**
+ * Read a scanned QR code as a shared search link
+ * @param {string} text - Raw QR content
+ * @returns {{ terms: string, found: string[] }|null} - null if it isn't a valid search link
+ */
+export function parseSearchShareUrl(text) {
+  if (typeof text !== 'string' || !/^https?:\/\/[^#]*#\/search\?/.test(text)) {
+    return null;
+  }
+
+  const route = parseRoute(text.slice(text.indexOf('#')));
+  if (!route || route.name !== 'search') {
+    return null;
+  }
+  try {
+    return parseSearchShare(route.params);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Render a share link as a QR code image
+ * @param {string} url
+ * @returns {Promise<string|null>} - PNG data URL, or null if the link is too long for a QR code
+ */
+export async function renderSearchShareQR(url) {
+  if (url.length > MAX_SHARE_QR_LENGTH) {
+    return null;
+  }
+  return QRCode.toDataURL(url, { errorCorrectionLevel: 'L', margin: 2, width: 320 });
+}
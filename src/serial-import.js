@@ -0,0 +1,163 @@
+/**
+ * Serial List Import
+ * Reads serial numbers (and extra label columns) from CSV and XLSX files
+ *
+ * Import is two steps: readSpreadsheet() turns a file into rows of strings,
+ * then mapImportedRows() picks the serial column and any extra columns once
+ * the user has confirmed the header row and column mapping.
+ */
+
+import { parseCSV } from './csv.js';
+
+// Header cells that name the serial column
+const SERIAL_HEADER_PATTERN = /^(serial|serial[\s_-]*(no|number|#)|s\/?n|asset[\s_-]*(tag|id)?|box([\s_-]*id)?|id|code|label)$/i;
+
+// Header cells that look like any column title
+const HEADER_WORD_PATTERN = /^[A-Za-z\u00C0-\uFFFF][\w\s.#/()\u00C0-\uFFFF-]*$/;
+
+/**
+ * Convert a spreadsheet cell to text
+ * @param {*} value - string, number, boolean, Date or null
+ * @returns {string}
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Read the first sheet of a CSV, TSV or XLSX file
+ * @param {File|Blob} file
+ * @returns {Promise<string[][]>} - Rows of cell text, without blank rows
+ */
+export async function readSpreadsheet(file) {
+  const name = (file.name || '').toLowerCase();
+
+  if (name.endsWith('.xlsx') || file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    // Loaded on demand; most imports are CSV
+    const { readSheet } = await import('read-excel-file/universal');
+    const data = await readSheet(file);
+    return data
+      .map(row => row.map(cellToString))
+      .filter(row => row.some(cell => cell !== ''));
+  }
+
+  if (name.endsWith('.xls')) {
+    throw new Error('Old .xls files are not supported; save the sheet as .xlsx or CSV');
+  }
+
+  return parseCSV(await file.text(), name.endsWith('.tsv') ? '\t' : undefined);
+}
+
+/**
+ * Guess whether the first row is a header row
+ * @param {string[][]} rows
+ * @returns {boolean}
+ */
+export function detectHeader(rows) {
+  if (rows.length < 2) {
+    return false;
+  }
+
+  const [first, second] = rows;
+  if (first.some(cell => SERIAL_HEADER_PATTERN.test(cell))) {
+    return true;
+  }
+
+  // Titles are words; data rows usually carry digits where the titles don't
+  const looksLikeTitles = first.every(cell => cell === '' || (HEADER_WORD_PATTERN.test(cell) && !/\d/.test(cell)));
+  const dataHasDigits = second.some(cell => /\d/.test(cell));
+  return looksLikeTitles && dataHasDigits;
+}
+
+/**
+ * Number of columns in the widest row
+ * @param {string[][]} rows
+ * @returns {number}
+ */
+export function getColumnCount(rows) {
+  return rows.reduce((max, row) => Math.max(max, row.length), 0);
+}
+
+/**
+ * Column titles: the header row if there is one, otherwise "Column 1", "Column 2", ...
+ * @param {string[][]} rows
+ * @param {boolean} hasHeader
+ * @returns {string[]}
+ */
+export function getColumnNames(rows, hasHeader) {
+  const count = getColumnCount(rows);
+  return Array.from({ length: count }, (_, i) => (hasHeader && rows[0][i]) || `Column ${i + 1}`);
+}
+
+/**
+ * Guess which column holds the serial numbers
+ * @param {string[][]} rows
+ * @param {boolean} hasHeader
+ * @returns {number} - Column index
+ */
+export function guessSerialColumn(rows, hasHeader) {
+  if (hasHeader) {
+    const named = rows[0].findIndex(cell => SERIAL_HEADER_PATTERN.test(cell));
+    if (named !== -1) {
+      return named;
+    }
+  }
+
+  // Otherwise the column with the most distinct non-empty values
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  let best = 0;
+  let bestCount = -1;
+  for (let col = 0; col < getColumnCount(rows); col++) {
+    const values = new Set(dataRows.map(row => row[col]).filter(Boolean));
+    if (values.size > bestCount) {
+      best = col;
+      bestCount = values.size;
+    }
+  }
+  return best;
+}
+
+/**
+ * Apply a column mapping to imported rows
+ * @param {string[][]} rows
+ * @param {object} mapping
+ * @param {boolean} mapping.hasHeader - Skip the first row
+ * @param {number} mapping.serialColumn - Column index of the serial numbers
+ * @param {number[]} mapping.extraColumns - Columns carried along as label text
+ * @returns {{ records: { serial: string, fields: Record<string, string> }[], skipped: number, duplicates: string[] }}
+ *   fields maps column names (see getColumnNames) to the row's values
+ */
+export function mapImportedRows(rows, { hasHeader = false, serialColumn = 0, extraColumns = [] } = {}) {
+  const names = getColumnNames(rows, hasHeader);
+  const records = [];
+  const seen = new Set();
+  const duplicates = [];
+  let skipped = 0;
+
+  for (const row of hasHeader ? rows.slice(1) : rows) {
+    const serial = (row[serialColumn] || '').trim();
+    if (!serial) {
+      skipped++;
+      continue;
+    }
+
+    if (seen.has(serial)) {
+      duplicates.push(serial);
+      continue;
+    }
+    seen.add(serial);
+
+    records.push({
+      serial,
+      fields: Object.fromEntries(extraColumns.map(col => [names[col], row[col] || '']))
+    });
+  }
+
+  return { records, skipped, duplicates };
+}
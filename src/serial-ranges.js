@@ -0,0 +1,190 @@
+/**
+ * Serial Range Expansion
+ * Expands range and template syntax in serial number input
+ *
+ * Supported entry forms (one per line or comma-separated):
+ *   BOX-001                  plain serial
+ *   BOX-0001..BOX-0300       range between two serials sharing prefix/suffix
+ *   BOX-0001..BOX-0300..5    same, with a step
+ *   RACK-{01..12}-A          template: prefix + numeric range + suffix
+ *   RACK-{01..12..2}-A       template with a step
+ *   "A,B..{C}"               quoted: taken literally ("" for a quote inside)
+ *
+ * Zero-padding of the start number is preserved. Ranges may count down.
+ * Serials put into the input by the app (file import, reprint) are written
+ * with formatSerialList(), which quotes the ones that would otherwise expand.
+ */
+
+// Upper bound on a single range, to catch typos like BOX-1..BOX-1000000
+export const MAX_RANGE_SIZE = 10000;
+
+// PREFIX{START..END[..STEP]}SUFFIX
+const TEMPLATE_PATTERN = /^(.*)\{(\d+)\.\.(\d+)(?:\.\.(\d+))?\}(.*)$/;
+
+// Splits a serial into prefix, last run of digits and suffix
+const SERIAL_NUMBER_PATTERN = /^(.*?)(\d+)(\D*)$/;
+
+// One entry and its separator: a "quoted literal" or text up to the next comma/newline
+const ENTRY_PATTERN = /\s*(?:"((?:[^"]|"")*)"[^\S\n]*|([^\n,]*))(?:[\n,]|$)/y;
+
+// Characters that make a serial read as something else
+const SPECIAL_SERIAL_PATTERN = /[\n,"{}]|\.\./;
+
+/**
+ * Expand a numeric range into padded serials
+ * @param {string} prefix
+ * @param {string} startStr - Start number as typed (its width sets the padding)
+ * @param {string} endStr - End number as typed
+ * @param {string|undefined} stepStr - Optional step
+ * @param {string} suffix
+ * @returns {{ serials?: string[], error?: string }}
+ */
+function expandNumericRange(prefix, startStr, endStr, stepStr, suffix) {
+  const start = parseInt(startStr, 10);
+  const end = parseInt(endStr, 10);
+  const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+
+  if (!(step > 0)) {
+    return { error: 'Step must be a positive number' };
+  }
+
+  const count = Math.floor(Math.abs(end - start) / step) + 1;
+  if (count > MAX_RANGE_SIZE) {
+    return { error: `Range expands to ${count} serials (max ${MAX_RANGE_SIZE})` };
+  }
+
+  // Pad only when the range was written with leading zeros
+  const padded = (startStr.length > 1 && startStr.startsWith('0')) ||
+    (endStr.length > 1 && endStr.startsWith('0'));
+  const width = padded ? Math.max(startStr.length, endStr.length) : 0;
+  const direction = end >= start ? 1 : -1;
+
+  const serials = [];
+  for (let i = 0; i < count; i++) {
+    const n = start + direction * i * step;
+    serials.push(prefix + String(n).padStart(width, '0') + suffix);
+  }
+  return { serials };
+}
+
+/**
+ * Expand a single input entry
+ * @param {string} entry - Trimmed, non-empty entry
+ * @returns {{ serials?: string[], error?: string }}
+ */
+export function expandSerialEntry(entry) {
+  const template = entry.match(TEMPLATE_PATTERN);
+  if (template) {
+    const [, prefix, startStr, endStr, stepStr, suffix] = template;
+    return expandNumericRange(prefix, startStr, endStr, stepStr, suffix);
+  }
+
+  if (entry.includes('{') || entry.includes('}')) {
+    return { error: 'Malformed template, expected PREFIX{START..END}SUFFIX' };
+  }
+
+  if (!entry.includes('..')) {
+    return { serials: [entry] };
+  }
+
+  const parts = entry.split('..').map(p => p.trim());
+  if (parts.length > 3 || parts.some(p => p.length === 0)) {
+    return { error: 'Malformed range, expected START..END or START..END..STEP' };
+  }
+
+  const [from, to, stepStr] = parts;
+  if (stepStr !== undefined && !/^\d+$/.test(stepStr)) {
+    return { error: 'Step must be a positive number' };
+  }
+
+  const fromMatch = from.match(SERIAL_NUMBER_PATTERN);
+  const toMatch = to.match(SERIAL_NUMBER_PATTERN);
+  if (!fromMatch || !toMatch) {
+    return { error: 'Range endpoints must contain a number' };
+  }
+
+  const [, fromPrefix, fromNumber, fromSuffix] = fromMatch;
+  const [, toPrefix, toNumber, toSuffix] = toMatch;
+  if (fromPrefix !== toPrefix || fromSuffix !== toSuffix) {
+    return { error: 'Range endpoints must share the same prefix and suffix' };
+  }
+
+  return expandNumericRange(fromPrefix, fromNumber, toNumber, stepStr, fromSuffix);
+}
+
+/**
+ * Split input into entries
+ * @param {string} input
+ * @returns {{ text: string, literal: boolean }[]} - Trimmed, non-empty entries; literal ones were quoted
+ */
+function splitEntries(input) {
+  const entries = [];
+  ENTRY_PATTERN.lastIndex = 0;
+
+  while (ENTRY_PATTERN.lastIndex < input.length) {
+    const [, quoted, plain] = ENTRY_PATTERN.exec(input);
+    if (quoted !== undefined) {
+      if (quoted.length > 0) {
+        entries.push({ text: quoted.replace(/""/g, '"'), literal: true });
+      }
+    } else if (plain.trim().length > 0) {
+      entries.push({ text: plain.trim(), literal: false });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Write a serial so that expandSerialInput reads it back unchanged
+ * @param {string} serial
+ * @returns {string} - The serial, quoted if it holds a comma, "..", braces, quotes or outer spaces
+ */
+export function quoteSerial(serial) {
+  if (!SPECIAL_SERIAL_PATTERN.test(serial) && serial === serial.trim()) {
+    return serial;
+  }
+  return `"${serial.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Write serials as input text, one per line, each read back as exactly one serial
+ * @param {string[]} serials
+ * @returns {string}
+ */
+export function formatSerialList(serials) {
+  return serials.map(quoteSerial).join('\n');
+}
+
+/**
+ * Expand serial number input, collecting errors instead of throwing
+ * @param {string} input - Newline or comma separated entries
+ * @returns {{ serials: string[], errors: { entry: string, message: string }[], duplicates: string[] }}
+ */
+export function expandSerialInput(input) {
+  const serials = [];
+  const errors = [];
+  const seen = new Set();
+  const duplicates = new Set();
+
+  for (const { text: entry, literal } of splitEntries(input)) {
+    const result = literal ? { serials: [entry] } : expandSerialEntry(entry);
+    if (result.error) {
+      errors.push({ entry, message: result.error });
+      continue;
+    }
+
+    for (const serial of result.serials) {
+      if (seen.has(serial)) {
+        duplicates.add(serial);
+      }
+      seen.add(serial);
+      serials.push(serial);
+    }
+  }
+
+  for (const serial of duplicates) {
+    errors.push({ entry: serial, message: 'Duplicate serial number' });
+  }
+
+  return { serials, errors, duplicates: Array.from(duplicates) };
+}
@@ -0,0 +1,222 @@
+/**
+ * App Settings
+ * Persists user settings in localStorage
+ */
+
+import { MAX_TEMPLATE_LINES } from './label-template.js';
+
+const STORAGE_KEY = 'qr-box-finder:settings';
+
+export const DEFAULT_SETTINGS = {
+  // QR payload
+  namespace: 'lablup-inventory',
+  payloadEncoding: 'json',
+  hmacKey: '',
+  requireSignature: false,
+  acceptLegacyLabels: true,
+  linkBaseUrl: '',        // App URL for deep-link labels; defaults to the current page
+
+  // Label template (Generator)
+  labelLines: '',         // Extra text lines, one per line, with {placeholders}
+  labelLogo: null,        // { dataUrl, width, height } of an uploaded image
+  labelBarcode: false,    // Code 128 barcode of the serial under the QR code
+  labelTextFit: 'shrink', // Long serials: 'shrink' the font or 'wrap' onto two lines
+
+  // Scanner search
+  fuzzySearch: false,     // Also match serials a typo or two away from a search term
+
+  // Found feedback
+  vibrate: true,
+  soundEnabled: false,
+  labelSound: false,      // Quieter tone for valid labels that are not search targets
+  speakSerials: false,
+  feedbackVolume: 0.5,
+
+  // Accessibility
+  highContrast: false,
+  overlayTextScale: 1,
+
+  // Backend sync
+  syncEndpoint: '',       // Base URL of the inventory backend's REST API; empty = no sync
+  syncToken: '',          // Sent as a bearer token
+  syncScans: true,        // Send every scanned label, not only found targets
+
+  // Scan history
+  historyEnabled: true,
+  historyRetentionDays: 30,   // 0 = keep until the record cap is reached
+
+  // Camera (remembered between sessions)
+  cameraDeviceId: '',
+  cameraTorch: false,
+  cameraZoom: null,
+
+  // Detection
+  scanRegion: 1,              // centred fraction of the frame to search (1 = full frame)
+  detectionMaxWidth: 1280,    // downscale wider frames before detection (0 = full resolution)
+  showDetectionStats: false   // FPS/latency readout on the camera view
+};
+
+let settings = null;
+
+/**
+ * Get localStorage if available (not in Node or some private modes)
+ */
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Load settings from storage, falling back to defaults
+ * @returns {object}
+ */
+function loadSettings() {
+  const storage = getStorage();
+  let stored = {};
+
+  if (storage) {
+    try {
+      stored = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+    } catch (err) {
+      // Ignore corrupt settings
+    }
+  }
+
+  return { ...DEFAULT_SETTINGS, ...stored };
+}
+
+/**
+ * Get current settings
+ * @returns {object}
+ */
+export function getSettings() {
+  if (!settings) {
+    settings = loadSettings();
+  }
+  return { ...settings };
+}
+
+/**
+ * Update and persist settings
+ * @param {object} changes - Settings to change
+ * @returns {object} - The updated settings
+ */
+export function updateSettings(changes) {
+  // Keep a plain copy: values may be UI proxies, and the label template is sent to a worker
+  const serialized = JSON.stringify({ ...getSettings(), ...changes });
+  settings = JSON.parse(serialized);
+
+  const storage = getStorage();
+  if (storage) {
+    try {
+      storage.setItem(STORAGE_KEY, serialized);
+    } catch (err) {
+      console.error('Failed to save settings:', err);
+    }
+  }
+
+  return { ...settings };
+}
+
+/**
+ * URL of the running app, without hash or query
+ * @returns {string}
+ */
+export function getDefaultAppUrl() {
+  const location = globalThis.location;
+  return location && /^https?:$/.test(location.protocol) ? location.origin + location.pathname : '';
+}
+
+/**
+ * Get the QR payload options derived from settings
+ * @returns {{ namespace: string, namespaces: string[], acceptLegacy: boolean, key: string,
+ *   requireSignature: boolean, encoding: 'json'|'compact'|'url', baseUrl: string }}
+ */
+export function getPayloadOptions() {
+  const current = getSettings();
+  const namespace = current.namespace.trim() || DEFAULT_SETTINGS.namespace;
+
+  return {
+    namespace,
+    namespaces: [namespace],
+    acceptLegacy: current.acceptLegacyLabels,
+    key: current.hmacKey,
+    requireSignature: current.requireSignature,
+    encoding: current.payloadEncoding,
+    baseUrl: current.linkBaseUrl.trim() || getDefaultAppUrl()
+  };
+}
+
+/**
+ * Get the frame detection options derived from settings
+ * @returns {{ region: number, maxWidth: number, showStats: boolean }}
+ */
+export function getDetectionOptions() {
+  const current = getSettings();
+  return {
+    region: Number(current.scanRegion) || 1,
+    maxWidth: Number(current.detectionMaxWidth) || 0,
+    showStats: current.showDetectionStats
+  };
+}
+
+/**
+ * Get the found-feedback options derived from settings
+ * @param {object} current - Settings to use (defaults to the saved settings)
+ * @returns {{ vibrate: boolean, sound: boolean, labelSound: boolean, speak: boolean, volume: number }}
+ */
+export function getFeedbackOptions(current = getSettings()) {
+  return {
+    vibrate: current.vibrate,
+    sound: current.soundEnabled,
+    labelSound: current.labelSound,
+    speak: current.speakSerials,
+    volume: Math.min(1, Math.max(0, Number(current.feedbackVolume) || 0))
+  };
+}
+
+/**
+ * Get the overlay rendering options derived from settings
+ * @returns {{ highContrast: boolean, textScale: number }}
+ */
+export function getOverlayOptions() {
+  const current = getSettings();
+  return {
+    highContrast: current.highContrast,
+    textScale: Number(current.overlayTextScale) || 1
+  };
+}
+
+/**
+ * Get the backend sync options derived from settings
+ * @param {object} current - Settings to use (defaults to the saved settings)
+ * @returns {{ endpoint: string, token: string, sendScans: boolean }}
+ */
+export function getSyncOptions(current = getSettings()) {
+  return {
+    endpoint: current.syncEndpoint.trim().replace(/\/+$/, ''),
+    token: current.syncToken.trim(),
+    sendScans: current.syncScans
+  };
+}
+
+/**
+ * Get the label template derived from settings
+ * @param {object} current - Settings to use (defaults to the saved settings)
+ * @returns {{ lines: string[], logo: object|null, barcode: boolean, textFit: 'shrink'|'wrap' }}
+ */
+export function getLabelTemplate(current = getSettings()) {
+  return {
+    lines: current.labelLines
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .slice(0, MAX_TEMPLATE_LINES),
+    logo: current.labelLogo,
+    barcode: current.labelBarcode,
+    textFit: current.labelTextFit
+  };
+}
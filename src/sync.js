@@ -0,0 +1,397 @@
+/**
+ * Backend Sync
+ * Sends scan, found and picked events to an inventory backend and loads target lists (pick orders)
+ *
+ * The backend is reached through a sync adapter with two methods:
+ *   sendEvents(events) -> Promise<void>, rejecting on failure; an error with
+ *     retryable === false drops the batch instead of retrying it
+ *   fetchTargets(orderId) -> Promise<{ id, name?, serials: string[] }>
+ * createRestAdapter() talks to a generic REST API (see the README); any
+ * other backend can be plugged in with setSyncAdapter().
+ *
+ * Events wait in a queue (stored in localStorage) until the backend has
+ * accepted them, so scans made offline are delivered later. Failed sends
+ * are retried with exponential backoff, and right away when the browser
+ * comes back online.
+ */
+
+const STORAGE_KEY = 'qr-box-finder:sync-queue';
+
+// Oldest events are dropped beyond this many
+export const MAX_QUEUED_EVENTS = 5000;
+
+const BATCH_SIZE = 50;
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// A label sitting in view is sent again only after this long (ms), like the scan history
+const SCAN_EVENT_INTERVAL_MS = 30000;
+
+let adapter = null;
+let sendScans = true;
+let queue = null;
+let sending = false;
+let failures = 0;
+let retryTimeoutId = null;
+let lastError = null;
+let lastSyncAt = null;
+const lastSent = new Map(); // "serial|location" -> timestamp of the last queued scan event
+const statusListeners = new Set();
+
+/**
+ * Get localStorage if available (not in Node or some private modes)
+ */
+function getStorage() {
+  try {
+    return globalThis.localStorage || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Load the queue from storage on first use
+ * @returns {object[]}
+ */
+function getQueue() {
+  if (!queue) {
+    queue = [];
+
+    const storage = getStorage();
+    if (storage) {
+      try {
+        queue = JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+      } catch (err) {
+        // Ignore corrupt data
+      }
+    }
+  }
+  return queue;
+}
+
+/**
+ * Persist the queue
+ */
+function saveQueue() {
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  } catch (err) {
+    console.error('Failed to save sync queue:', err);
+  }
+}
+
+/**
+ * Tell status listeners about a change
+ */
+function notifyStatus() {
+  const status = getSyncStatus();
+  for (const listener of statusListeners) {
+    listener(status);
+  }
+}
+
+/**
+ * Build an error that says whether the request is worth retrying
+ * @param {string} message
+ * @param {number|null} status - HTTP status, if there was a response
+ * @param {boolean} retryable
+ * @returns {Error}
+ */
+function syncError(message, status, retryable) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryable = retryable;
+  return err;
+}
+
+/**
+ * Create an adapter for the generic REST API:
+ *   POST {endpoint}/events              body { events: [...] }
+ *   GET  {endpoint}/pick-orders/{id}    -> { id, name?, serials: [...] }
+ * with "Authorization: Bearer {token}" when a token is set.
+ * @param {object} options
+ * @param {string} options.endpoint - Base URL, without a trailing slash
+ * @param {string} options.token - Bearer token
+ * @param {function} options.fetch - fetch implementation (defaults to the global one)
+ * @returns {{ sendEvents: function(object[]): Promise<void>, fetchTargets: function(string): Promise<object> }}
+ */
+export function createRestAdapter({ endpoint, token = '', fetch: fetchImpl = globalThis.fetch }) {
+  if (!/^https?:\/\//.test(endpoint)) {
+    throw new Error('Sync endpoint must be an http(s) URL');
+  }
+
+  async function request(path, init = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    const headers = { Accept: 'application/json', ...init.headers };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(`${endpoint}${path}`, { ...init, headers, signal: controller.signal });
+    } catch (err) {
+      // Offline, DNS, CORS or timeout: worth trying again later
+      throw syncError(err.name === 'AbortError' ? 'Backend did not respond' : `Backend unreachable: ${err.message}`, null, true);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      // Keep events through auth failures too; they go out once the token is fixed
+      const authFailed = response.status === 401 || response.status === 403;
+      const retryable = authFailed || response.status >= 500 || response.status === 408 || response.status === 429;
+      const message = authFailed ? 'Backend rejected the sync token' : `Backend error ${response.status}`;
+      throw syncError(message, response.status, retryable);
+    }
+    return response;
+  }
+
+  return {
+    async sendEvents(events) {
+      await request('/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events })
+      });
+    },
+
+    async fetchTargets(orderId) {
+      let response;
+      try {
+        response = await request(`/pick-orders/${encodeURIComponent(orderId)}`);
+      } catch (err) {
+        if (err.status === 404) {
+          throw syncError(`Pick order ${orderId} not found`, 404, false);
+        }
+        throw err;
+      }
+
+      const order = await response.json();
+      if (!order || !Array.isArray(order.serials)) {
+        throw syncError('Backend sent a pick order without a serials list', response.status, false);
+      }
+      return {
+        id: String(order.id || orderId),
+        name: order.name || '',
+        serials: order.serials.map(String).filter(Boolean)
+      };
+    }
+  };
+}
+
+/**
+ * Install a sync adapter, or null to turn sync off. Queued events stay queued.
+ * @param {object|null} syncAdapter - See the module comment
+ * @param {{ sendScans: boolean }} options - Send every scanned label, not only found targets
+ */
+export function setSyncAdapter(syncAdapter, { sendScans: scans = true } = {}) {
+  adapter = syncAdapter;
+  sendScans = scans;
+  failures = 0;
+  lastError = null;
+  if (retryTimeoutId) {
+    clearTimeout(retryTimeoutId);
+    retryTimeoutId = null;
+  }
+
+  notifyStatus();
+  if (adapter) {
+    flushSyncQueue();
+  }
+}
+
+/**
+ * Set up sync from the sync settings: the REST adapter if an endpoint is set
+ * @param {{ endpoint: string, token: string, sendScans: boolean }} options - From getSyncOptions()
+ */
+export function configureSync({ endpoint, token, sendScans: scans }) {
+  setSyncAdapter(endpoint ? createRestAdapter({ endpoint, token }) : null, { sendScans: scans });
+}
+
+/**
+ * Check if a backend is configured
+ */
+export function isSyncConfigured() {
+  return adapter !== null;
+}
+
+/**
+ * Queue an event for the backend and try to send it
+ * @param {'scan'|'found'|'picked'} type - scan: any valid label; found: a search target;
+ *   picked: a pick list item confirmed as pulled
+ * @param {object} event
+ * @param {string} event.serial
+ * @param {string|null} event.location - Shelf the box was seen at, if known
+ * @param {string|null} event.term - Search term a found serial matched
+ * @param {string} event.mode - App mode the scan came from
+ * @returns {boolean} - False if sync is off or the event was a repeat
+ */
+export function queueSyncEvent(type, { serial, location = null, term = null, mode = null }) {
+  if (!adapter || (type === 'scan' && !sendScans)) {
+    return false;
+  }
+
+  const now = Date.now();
+  if (type === 'scan') {
+    const key = `${serial}|${location || ''}`;
+    const last = lastSent.get(key);
+    if (last !== undefined && now - last < SCAN_EVENT_INTERVAL_MS) {
+      return false;
+    }
+    lastSent.set(key, now);
+  }
+
+  const events = getQueue();
+  events.push({
+    id: globalThis.crypto && crypto.randomUUID ? crypto.randomUUID() : `${now}-${Math.random().toString(36).slice(2)}`,
+    type,
+    serial,
+    location,
+    term,
+    mode,
+    at: new Date(now).toISOString()
+  });
+  if (events.length > MAX_QUEUED_EVENTS) {
+    events.splice(0, events.length - MAX_QUEUED_EVENTS);
+  }
+  saveQueue();
+  notifyStatus();
+
+  // While waiting for a retry, new events go with it
+  if (!retryTimeoutId) {
+    flushSyncQueue();
+  }
+  return true;
+}
+
+/**
+ * Retry sending after a failure, waiting longer after each one
+ */
+function scheduleRetry() {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (failures - 1));
+  retryTimeoutId = setTimeout(() => {
+    retryTimeoutId = null;
+    flushSyncQueue();
+  }, delay);
+}
+
+/**
+ * Send queued events in batches until the queue is empty or sending fails
+ * @returns {Promise<void>}
+ */
+export async function flushSyncQueue() {
+  if (!adapter || sending) {
+    return;
+  }
+  if (retryTimeoutId) {
+    clearTimeout(retryTimeoutId);
+    retryTimeoutId = null;
+  }
+
+  const current = adapter;
+  sending = true;
+  notifyStatus();
+
+  try {
+    while (getQueue().length > 0 && adapter === current) {
+      const batch = queue.slice(0, BATCH_SIZE);
+      const batchIds = new Set(batch.map(event => event.id));
+      try {
+        await current.sendEvents(batch);
+        lastSyncAt = Date.now();
+        lastError = null;
+        failures = 0;
+      } catch (err) {
+        if (adapter !== current) {
+          break; // Replaced while sending; its errors no longer matter
+        }
+        lastError = err.message;
+        if (err.retryable === false) {
+          // The backend will never take this batch; don't let it block the rest
+          console.error('Sync events rejected, dropping them:', err);
+        } else {
+          failures++;
+          scheduleRetry();
+          break;
+        }
+      }
+
+      // By ID: the queue may have been cleared, or events queued, while the batch was out
+      queue = getQueue().filter(event => !batchIds.has(event.id));
+      saveQueue();
+      notifyStatus();
+    }
+  } finally {
+    sending = false;
+    notifyStatus();
+  }
+
+  // An adapter installed while this batch was out couldn't start its own flush
+  if (adapter && adapter !== current) {
+    flushSyncQueue();
+  }
+}
+
+/**
+ * Load a target list (pick order) from the backend
+ * @param {string} orderId
+ * @returns {Promise<{ id: string, name: string, serials: string[] }>}
+ */
+export async function fetchPickOrder(orderId) {
+  if (!adapter) {
+    throw new Error('Set a sync endpoint in Settings first');
+  }
+  const id = orderId.trim();
+  if (!id) {
+    throw new Error('Enter a pick order ID');
+  }
+  return adapter.fetchTargets(id);
+}
+
+/**
+ * Get the sync state, for display
+ * @returns {{ configured: boolean, pending: number, sending: boolean, lastError: string|null,
+ *   lastSyncAt: number|null, retrying: boolean }}
+ */
+export function getSyncStatus() {
+  return {
+    configured: adapter !== null,
+    pending: getQueue().length,
+    sending,
+    lastError,
+    lastSyncAt,
+    retrying: retryTimeoutId !== null
+  };
+}
+
+/**
+ * Listen for sync state changes
+ * @param {function(object): void} listener - Called with getSyncStatus()
+ * @returns {function(): void} - Removes the listener
+ */
+export function onSyncStatusChange(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+/**
+ * Drop all queued events
+ */
+export function clearSyncQueue() {
+  queue = [];
+  saveQueue();
+  notifyStatus();
+}
+
+// Deliver what was queued offline as soon as the connection is back
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => flushSyncQueue());
+}
@@ -0,0 +1,216 @@
+/**
+ * Target Matching
+ * Compiles scanner search terms into matchers for decoded serial numbers
+ *
+ * Term syntax:
+ * - BOX-001        exact match
+ * - BOX-12*        wildcards: * matches any run of characters, ? exactly one
+ * - /^BOX-1\d{2}$/i  regular expression (optional flags after the closing slash)
+ * - "A,B*"         quoted: exact match on the text as written ("" for a quote inside)
+ *
+ * Terms are separated by newlines or commas. A comma inside a /regex/ term
+ * (e.g. /BOX-\d{1,3}/) belongs to the regex, not a separator. Serials put
+ * into the search by the app (file import, pick orders) are written with
+ * formatSearchTerms(), which quotes the ones that would read as patterns.
+ *
+ * In fuzzy mode, plain terms also match serials within a small edit distance
+ * (insertions, deletions, substitutions and swapped neighbours), ignoring case.
+ */
+
+/**
+ * Maximum edit distance allowed for a fuzzy term
+ * @param {string} term
+ * @returns {number}
+ */
+export function getFuzzyThreshold(term) {
+  if (term.length < 4) return 0;   // Too short to tell a typo from another serial
+  if (term.length < 8) return 1;
+  return 2;
+}
+
+/**
+ * Edit distance between two strings, counting a swap of adjacent characters as one edit
+ * (optimal string alignment distance). Stops early once the distance exceeds max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Give up above this distance
+ * @returns {number} - Distance, or max + 1 if it is larger than max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  // Three rolling rows: two rows back is needed for transpositions
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      row[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Convert a wildcard term to an anchored regular expression
+ * @param {string} term - e.g. "BOX-12*"
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(term) {
+  const source = term
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile one search term
+ * @param {string} term
+ * @param {{ fuzzy: boolean }} options
+ * @returns {{ term: string, type: 'exact'|'wildcard'|'regex'|'fuzzy', test: function(string): boolean }}
+ * @throws {SyntaxError} - If a regular expression term is invalid
+ */
+export function compileSearchTerm(term, { fuzzy = false } = {}) {
+  const regexMatch = term.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    // Stateful flags would make test() skip matches on repeated calls
+    const pattern = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+    return { term, type: 'regex', test: serial => pattern.test(serial) };
+  }
+
+  if (/[*?]/.test(term)) {
+    const pattern = wildcardToRegExp(term);
+    return { term, type: 'wildcard', test: serial => pattern.test(serial) };
+  }
+
+  const threshold = fuzzy ? getFuzzyThreshold(term) : 0;
+  if (threshold > 0) {
+    const lowerTerm = term.toLowerCase();
+    return {
+      term,
+      type: 'fuzzy',
+      test: serial => editDistance(lowerTerm, serial.toLowerCase(), threshold) <= threshold
+    };
+  }
+
+  return compileExactTerm(term);
+}
+
+/**
+ * Compile a term that matches one serial exactly, whatever characters it holds
+ * @param {string} serial
+ * @returns {{ term: string, type: 'exact', test: function(string): boolean }}
+ */
+export function compileExactTerm(serial) {
+  return { term: serial, type: 'exact', test: candidate => candidate === serial };
+}
+
+// One term and its separator: a "quoted literal", a /regex/flags term (which
+// may hold commas) or text up to the next comma/newline
+const TERM_PATTERN = /\s*(?:"((?:[^"]|"")*)"[^\S\n]*|(\/(?:\\[^\n]|[^\\\n])+?\/[a-z]*)[^\S\n]*|([^\n,]*))(?:[\n,]|$)/y;
+
+// Characters that make a serial read as a pattern or as several terms
+const SPECIAL_TERM_PATTERN = /[\n,"*?]|^\//;
+
+/**
+ * Split the search box into terms
+ * @param {string} input - Newline or comma separated terms
+ * @returns {{ term: string, literal: boolean }[]} - Trimmed, non-empty, unique terms; literal ones were quoted
+ */
+function splitSearchTerms(input) {
+  const terms = new Map();
+  TERM_PATTERN.lastIndex = 0;
+
+  while (TERM_PATTERN.lastIndex < input.length) {
+    const [, quoted, regex, plain] = TERM_PATTERN.exec(input);
+    const literal = quoted !== undefined;
+    const term = literal ? quoted.replace(/""/g, '"') : (regex || plain).trim();
+    if (term.length > 0) {
+      terms.set(`${literal}:${term}`, { term, literal });
+    }
+  }
+  return [...terms.values()];
+}
+
+/**
+ * Write a serial so that parseSearchTerms matches exactly that serial
+ * @param {string} serial
+ * @returns {string} - The serial, quoted if it holds a comma, wildcard, quote, leading slash or outer spaces
+ */
+export function quoteSearchTerm(serial) {
+  if (!SPECIAL_TERM_PATTERN.test(serial) && serial === serial.trim()) {
+    return serial;
+  }
+  return `"${serial.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Write serials as search input, one per line, each matching only itself
+ * @param {string[]} serials
+ * @returns {string}
+ */
+export function formatSearchTerms(serials) {
+  return serials.map(quoteSearchTerm).join('\n');
+}
+
+/**
+ * Parse the scanner search box into matchers
+ * @param {string} input - Newline or comma separated search terms
+ * @param {{ fuzzy: boolean }} options
+ * @returns {{ matchers: object[], errors: { term: string, message: string }[] }}
+ */
+export function parseSearchTerms(input, options = {}) {
+  const terms = splitSearchTerms(input);
+
+  const matchers = [];
+  const errors = [];
+  for (const { term, literal } of terms) {
+    try {
+      matchers.push(literal ? compileExactTerm(term) : compileSearchTerm(term, options));
+    } catch (err) {
+      errors.push({ term, message: err.message });
+    }
+  }
+
+  return { matchers, errors };
+}
+
+/**
+ * Find the search term a serial matches. A term equal to the serial wins over patterns.
+ * @param {object[]} matchers - From parseSearchTerms
+ * @param {string} serialNumber
+ * @returns {string|null} - The matching term, or null
+ */
+export function matchSerial(matchers, serialNumber) {
+  if (matchers.some(m => m.term === serialNumber && m.test(serialNumber))) {
+    return serialNumber;
+  }
+
+  const match = matchers.find(m => m.test(serialNumber));
+  return match ? match.term : null;
+}
@@ -3,19 +3,108 @@
  */
 
 import Alpine from 'alpinejs';
+import { Scanner } from './scanner.js';
+import { CameraFrameSource, listCameras, checkCameraAvailable } from './camera-source.js';
 import {
-  startScanner,
-  stopScanner,
-  setTargetSerials,
-  getScannerState,
-  resetFoundSerials,
-  setOnFoundCallback,
-  setOnBorderStateChange,
-  checkCameraAvailable
-} from './scanner.js';
-import { downloadPDF, parseSerialNumbers } from './generator.js';
+  downloadLabels,
+  setLayout,
+  getSheetPreview,
+  OUTPUT_FORMATS,
+  MAX_COPIES
+} from './generator.js';
+import { ZPL_RESOLUTIONS } from './label-formats.js';
+import { LAYOUT_PRESETS, DEFAULT_LAYOUT_ID, PAGE_SIZES, buildCustomLayout } from './layouts.js';
+import { expandSerialInput, formatSerialList } from './serial-ranges.js';
+import {
+  readSpreadsheet,
+  detectHeader,
+  getColumnNames,
+  guessSerialColumn,
+  mapImportedRows
+} from './serial-import.js';
+import {
+  getSettings,
+  updateSettings,
+  getPayloadOptions,
+  getDefaultAppUrl,
+  getFeedbackOptions,
+  getSyncOptions
+} from './settings.js';
+import {
+  configureSync,
+  queueSyncEvent,
+  flushSyncQueue,
+  fetchPickOrder,
+  getSyncStatus,
+  onSyncStatusChange,
+  clearSyncQueue
+} from './sync.js';
+import { unlockAudio, foundFeedback, confirmFeedback } from './feedback.js';
+import { isValidNamespace, verifyQRPayload } from './qr-utils.js';
+import { navigate, onRouteChange } from './router.js';
+import { initPWA } from './pwa.js';
+import { parseSearchTerms, matchSerial, formatSearchTerms, compileExactTerm } from './target-matcher.js';
+import { buildSearchShareUrl, parseSearchShare, renderSearchShareQR } from './search-share.js';
+import { recordPrintRun, getPrintRuns, getPrintRun, clearPrintRuns } from './print-runs.js';
+import {
+  assignBoxLocation,
+  getBoxLocation,
+  getBoxesAtLocation,
+  findBoxLocations,
+  getAssignmentCount,
+  clearBoxLocations,
+  downloadBoxLocations
+} from './locations.js';
+import {
+  isHistoryAvailable,
+  startHistorySession,
+  recordScan,
+  getScanHistory,
+  summarizeLastSeen,
+  pruneHistory,
+  clearHistory,
+  downloadHistory
+} from './history.js';
+import {
+  startAudit,
+  recordAuditScan,
+  isAuditActive,
+  getAuditReport,
+  downloadAuditReport
+} from './audit.js';
+import {
+  PICK_ORDERINGS,
+  startPickList,
+  getPickList,
+  markPickSeen,
+  confirmPickItem,
+  unconfirmPickItem,
+  setPickOrdering,
+  getOrderedPickItems,
+  getPickProgress,
+  clearPickList
+} from './pick-list.js';
 
 // Initialize Alpine.js data store
+// Modes reachable via #/<mode>
+const MODES = ['scanner', 'generator', 'pick', 'audit', 'putaway', 'history', 'settings'];
+
+// Largest logo image accepted for label templates (bytes)
+const MAX_LOGO_BYTES = 200 * 1024;
+
+// Most put-away log entries kept on screen
+const PUTAWAY_LOG_LIMIT = 50;
+
+// Most history rows rendered at once (exports include everything)
+const HISTORY_DISPLAY_LIMIT = 200;
+
+// Cancels the running label generation; kept out of Alpine's reactive state
+let generatorAbort = null;
+
+// The page's scanner and its camera, also kept out of the reactive state
+const scanner = new Scanner();
+let camera = null;
+
 export function initApp() {
   Alpine.data('app', () => ({
     // Current mode
@@ -24,52 +113,380 @@ export function initApp() {
     // Scanner state
     scannerActive: false,
     searchInput: '',
+    searchErrors: [],
+    knownLocations: [],
+
+    // Backend sync state
+    syncStatus: getSyncStatus(),
+    pickOrderId: '',
+    pickOrder: null,          // { id, name, count } of the loaded pick order
+    pickOrderError: null,
+    loadingPickOrder: false,
+
+    // Shared search state
+    shareDialog: null,        // { url, qr } while the share dialog is open; qr is null if the link is too long
+    shareError: null,
+    shareCopied: false,
+    sharedSearch: null,       // { count, found } of the search loaded from a link or QR code
     borderState: 'idle',
     foundSerials: [],
     targetCount: 0,
     scannerError: null,
     cameraAvailable: true,
 
+    // Camera controls state
+    scannerContainerId: 'qr-reader',
+    cameras: [],
+    cameraId: getSettings().cameraDeviceId,
+    cameraCaps: null,
+    torchOn: false,
+    zoom: 1,
+
+    // Photo scan state
+    imageResults: [],
+    scanningImages: false,
+
     // Generator state
     generatorInput: '',
+    generatorLabelType: 'box',
+    generatorLabelFields: {}, // serial -> { column name: value } from an imported file
+    labelLogoError: null,
+    generatorFormat: 'pdf',
+    outputFormats: Object.entries(OUTPUT_FORMATS).map(([id, format]) => ({ id, name: format.name })),
+    zplResolutions: Object.keys(ZPL_RESOLUTIONS).map(Number),
+    zplDpi: 203,
     generating: false,
     generatorProgress: 0,
     generatorTotal: 0,
     generatorError: null,
+    generatorSerials: [],
+    generatorInputErrors: [],
+    generatorPreviewLimit: 50,
+    generatorStartOffset: 0,  // Cells already used on the first sheet
+    generatorCopies: 1,
+    maxCopies: MAX_COPIES,
+
+    // Reprint state (serials from a previous run)
+    printRuns: getPrintRuns(),
+    reprintRunId: '',
+    reprintFilter: '',
+    reprintSelected: [],
+
+    // Label layout state
+    layoutPresets: Object.entries(LAYOUT_PRESETS).map(([id, preset]) => ({ id, name: preset.name })),
+    pageSizes: Object.keys(PAGE_SIZES),
+    layoutId: DEFAULT_LAYOUT_ID,
+    customLayout: {
+      pageSize: 'a4',
+      pageWidth: 210,
+      pageHeight: 297,
+      marginX: 10,
+      marginY: 10,
+      qrSize: 40,
+      gutterX: 0,
+      gutterY: 0,
+      cols: 0,
+      rows: 0,
+      onePerPage: false
+    },
+    layout: setLayout(DEFAULT_LAYOUT_ID),
+    layoutError: null,
+
+    // Offline app state
+    updateAvailable: false,
+    offlineReady: false,
+    updateServiceWorker: null,
 
-    // Computed: count of serials in generator input
+    // Box deep link state (#/box/SERIAL?...)
+    boxLink: null,
+
+    // Settings state
+    defaultAppUrl: getDefaultAppUrl(),
+    settings: getSettings(),
+    settingsError: null,
+    settingsSaved: false,
+
+    // Put-away state
+    putawayLocation: null,
+    putawayLog: [],          // { serial, location, previous, at }, newest first
+    putawayRecorded: new Set(),
+    putawayError: null,
+    assignmentCount: getAssignmentCount(),
+
+    // File import state (CSV/XLSX into the generator or scanner search)
+    importState: null,        // { target, fileName, rows, hasHeader, serialColumn, extraColumns, append }
+    importError: null,
+    dropTarget: null,
+
+    // Scan history state
+    historyAvailable: isHistoryAvailable(),
+    lastSeenLocation: null,   // Latest location label seen while the camera runs
+    historyFilter: '',
+    historySinceDays: 7,      // 0 = all time
+    historyView: 'last',      // 'last' (one row per serial) or 'all'
+    historyRecords: [],
+    historySummary: [],
+    historyError: null,
+    historyDisplayLimit: HISTORY_DISPLAY_LIMIT,
+
+    // Audit state
+    auditName: '',
+    auditManifestInput: '',
+    auditStarted: false,
+    auditReport: null,
+    auditError: null,
+
+    // Pick list state (the list itself is kept in localStorage by pick-list.js)
+    pickList: getPickList(),
+    pickItems: getOrderedPickItems(),
+    pickProgress: getPickProgress(),
+    pickOrderings: Object.entries(PICK_ORDERINGS).map(([id, name]) => ({ id, name })),
+    pickListName: '',
+    pickListInput: '',
+    pickListOrdering: 'input',
+    pickListError: null,
+
+    // Computed: column titles of the file being imported
+    get importColumns() {
+      return this.importState ? getColumnNames(this.importState.rows, this.importState.hasHeader) : [];
+    },
+
+    // Computed: imported rows with the current column mapping applied
+    get importResult() {
+      if (!this.importState) return { records: [], skipped: 0, duplicates: [] };
+
+      const { rows, hasHeader, serialColumn, extraColumns } = this.importState;
+      return mapImportedRows(rows, { hasHeader, serialColumn, extraColumns });
+    },
+
+    // Computed: count of serials in generator input (after range expansion)
     get generatorSerialCount() {
-      return parseSerialNumbers(this.generatorInput).length;
+      return this.generatorSerials.length;
+    },
+
+    // Computed: first few expanded serials for the preview list
+    get generatorPreview() {
+      return this.generatorSerials.slice(0, this.generatorPreviewLimit);
+    },
+
+    // Computed: pages the run fills, counting skipped cells and copies
+    get generatorPageCount() {
+      const labels = this.generatorSerialCount * (Number(this.generatorCopies) || 1);
+      const offset = this.generatorFormat === 'pdf' ? Number(this.generatorStartOffset) || 0 : 0;
+      return Math.ceil((offset + labels) / this.layout.perPage);
+    },
+
+    // Computed: which cells of the first pages get a label (PDF sheets only)
+    get sheetPreview() {
+      if (this.generatorFormat !== 'pdf' || this.layoutError || this.generatorSerialCount === 0) return null;
+      return getSheetPreview(this.generatorSerials, this.layout, {
+        startOffset: Math.min(Number(this.generatorStartOffset) || 0, this.layout.perPage - 1),
+        copies: Math.min(Number(this.generatorCopies) || 1, MAX_COPIES)
+      });
+    },
+
+    // Computed: the run picked for reprinting
+    get reprintRun() {
+      return this.reprintRunId ? getPrintRun(this.reprintRunId) : null;
+    },
+
+    // Computed: serials of the picked run matching the reprint filter
+    get reprintMatches() {
+      if (!this.reprintRun) return [];
+
+      const { matchers } = parseSearchTerms(this.reprintFilter);
+      if (matchers.length === 0) return this.reprintRun.serials;
+      return this.reprintRun.serials.filter(serial => matchSerial(matchers, serial) !== null);
     },
 
     // Initialize
     async init() {
+      // Expand ranges as the generator input changes
+      this.$watch('generatorInput', (value) => this.updateGeneratorPreview(value));
+
+      // Re-resolve the layout whenever the preset or custom fields change
+      this.$watch('layoutId', () => this.applyLayout());
+      this.$watch('customLayout', () => this.applyLayout());
+
+      // Payload encoding is picked in the generator but stored with the settings
+      this.$watch('settings.payloadEncoding', (encoding) => {
+        updateSettings({ payloadEncoding: encoding });
+      });
+
+      // The label template is edited in the generator but stored with the settings
+      for (const key of ['labelLines', 'labelLogo', 'labelBarcode', 'labelTextFit']) {
+        this.$watch(`settings.${key}`, (value) => {
+          updateSettings({ [key]: value });
+        });
+      }
+
+      // Fuzzy search is toggled next to the search box; re-match with the new mode
+      this.$watch('settings.fuzzySearch', (fuzzySearch) => {
+        updateSettings({ fuzzySearch });
+        this.updateSearchTargets();
+      });
+
+      // Cache the app for offline use and watch for new versions
+      this.updateServiceWorker = initPWA({
+        onNeedRefresh: () => {
+          this.updateAvailable = true;
+        },
+        onOfflineReady: () => {
+          this.offlineReady = true;
+        }
+      });
+
+      // Send scan events to the backend set in Settings, if any
+      onSyncStatusChange((status) => {
+        this.syncStatus = status;
+      });
+      configureSync(getSyncOptions());
+
       // Check camera availability
       this.cameraAvailable = await checkCameraAvailable();
 
-      // Set up scanner callbacks
-      setOnFoundCallback((serial, allFound) => {
-        this.foundSerials = allFound;
+      // Listen to the scanner
+      scanner.on('found', ({ serial, term, found }) => {
+        if (this.mode === 'pick') {
+          markPickSeen(serial, this.lastSeenLocation);
+          this.refreshPickList();
+        } else {
+          this.foundSerials = found;
+        }
+        queueSyncEvent('found', { serial, term, location: this.lastSeenLocation, mode: this.mode });
       });
 
-      setOnBorderStateChange((state) => {
+      scanner.on('border-state', ({ state }) => {
         this.borderState = state;
       });
+
+      scanner.on('scan', ({ serial }) => {
+        const location = this.mode === 'putaway' ? this.putawayLocation : this.lastSeenLocation;
+        if (this.settings.historyEnabled) {
+          recordScan(serial, location);
+        }
+        queueSyncEvent('scan', { serial, location, mode: this.mode });
+        if (this.mode === 'audit' && recordAuditScan(serial)) {
+          this.auditReport = getAuditReport();
+        }
+        if (this.mode === 'putaway') {
+          this.recordPutaway(serial);
+        }
+      });
+
+      // A colleague's shared search shown as a QR code
+      scanner.on('share', ({ search }) => {
+        if (this.mode !== 'scanner') return;
+        const current = this.searchInput.trim();
+        if (current && current !== search.terms.trim() && !confirm('Replace the current search with the shared one?')) return;
+        this.loadSharedSearch(search);
+      });
+
+      scanner.on('location', ({ code }) => {
+        this.lastSeenLocation = code;
+        if (this.mode === 'putaway') {
+          this.setPutawayLocation(code);
+        }
+      });
+
+      // Reload the history list when its filters change
+      this.$watch('historyFilter', () => this.loadHistory());
+      this.$watch('historySinceDays', () => this.loadHistory());
+
+      // Apply the history retention period
+      this.pruneHistory();
+
+      // Follow hash routes (mode tabs and box deep links)
+      onRouteChange((route) => this.handleRoute(route));
+    },
+
+    // Apply a parsed hash route
+    async handleRoute(route) {
+      if (!route) return;
+
+      if (route.name === 'box') {
+        await this.openBoxLink(route.serial);
+      } else if (route.name === 'location') {
+        await this.openLocationLink(route.code);
+      } else if (route.name === 'search') {
+        await this.openSearchLink(route.params);
+      } else if (MODES.includes(route.name)) {
+        await this.switchMode(route.name);
+      }
+    },
+
+    // Show the box detail view for a deep link opened from a label
+    async openBoxLink(serial) {
+      if (this.scannerActive) {
+        await this.stopScanner();
+      }
+
+      const location = getBoxLocation(serial);
+      this.boxLink = { serial, result: null, location };
+      this.mode = 'box';
+
+      // Validate the whole link as a payload (checksum, namespace, signature)
+      const result = await verifyQRPayload(window.location.href, getPayloadOptions());
+      if (this.boxLink && this.boxLink.serial === serial) {
+        this.boxLink = { serial, result, location };
+      }
+    },
+
+    // A location label opened from a phone camera: start put-away there
+    async openLocationLink(code) {
+      const result = await verifyQRPayload(window.location.href, getPayloadOptions());
+      await this.switchMode('putaway');
+
+      if (result.valid) {
+        this.setPutawayLocation(code);
+      } else {
+        this.putawayError = `Invalid location label: ${result.error}`;
+      }
+    },
+
+    // Resume a search shared as a link
+    async openSearchLink(params) {
+      await this.switchMode('scanner');
+      try {
+        this.loadSharedSearch(parseSearchShare(params));
+      } catch (err) {
+        this.shareError = err.message;
+      }
+      navigate('#/scanner');
+    },
+
+    // Start a scanner search for the box from the deep link
+    async findLinkedBox() {
+      if (!this.boxLink) return;
+
+      this.searchInput = this.boxLink.serial;
+      await this.switchMode('scanner');
+      this.updateSearchTargets();
+      if (this.cameraAvailable) {
+        await this.startScanner();
+      }
     },
 
     // Start the scanner
-    async startScanner() {
+    async startScanner(containerId = 'qr-reader') {
       if (this.scannerActive) return;
 
       this.scannerError = null;
+      unlockAudio(); // Started from a tap, so sound is allowed from now on
       try {
-        await startScanner('qr-reader');
+        startHistorySession(this.mode);
+        this.lastSeenLocation = null;
+        camera = new CameraFrameSource({
+          container: document.getElementById(containerId),
+          deviceId: getSettings().cameraDeviceId
+        });
+        scanner.frameSource = camera;
+        await scanner.start();
         this.scannerActive = true;
+        this.scannerContainerId = containerId;
+        await this.restoreCameraControls();
 
-        // Apply current search targets
-        if (this.searchInput.trim()) {
-          this.updateSearchTargets();
-        }
+        this.applyScannerTargets();
       } catch (err) {
         console.error('Scanner error:', err);
         this.scannerError = this.getCameraErrorMessage(err);
@@ -80,28 +497,358 @@ export function initApp() {
     async stopScanner() {
       if (!this.scannerActive) return;
 
-      await stopScanner();
+      await scanner.stop();
+      camera = null;
       this.scannerActive = false;
       this.borderState = 'idle';
+      this.cameraCaps = null;
+      this.torchOn = false;
+    },
+
+    // Refresh the camera list and re-apply remembered torch/zoom
+    async restoreCameraControls() {
+      // Labels are only available after permission was granted
+      this.cameras = await listCameras();
+      this.cameraCaps = camera.getCapabilities();
+      this.cameraId = this.cameraCaps.deviceId || '';
+
+      const saved = getSettings();
+      if (this.cameraCaps.torch && saved.cameraTorch) {
+        await camera.setTorch(true);
+      }
+      if (this.cameraCaps.zoom && saved.cameraZoom !== null) {
+        await camera.setZoom(saved.cameraZoom);
+      }
+
+      const current = camera.getCapabilities().settings;
+      this.torchOn = current.torch === true;
+      this.zoom = current.zoom || (this.cameraCaps.zoom ? this.cameraCaps.zoom.min : 1);
+    },
+
+    // Switch to another camera and remember it
+    async selectCamera(deviceId) {
+      updateSettings({ cameraDeviceId: deviceId });
+      if (!this.scannerActive) return;
+
+      const containerId = this.scannerContainerId;
+      await this.stopScanner();
+      await this.startScanner(containerId);
+    },
+
+    // Toggle the flash/torch and remember it
+    async toggleTorch() {
+      const on = !this.torchOn;
+      if (camera && await camera.setTorch(on)) {
+        this.torchOn = on;
+        updateSettings({ cameraTorch: on });
+      }
+    },
+
+    // Apply the zoom slider and remember it
+    async changeZoom(value) {
+      const zoom = Number(value);
+      if (camera && await camera.setZoom(zoom)) {
+        this.zoom = zoom;
+        updateSettings({ cameraZoom: zoom });
+      }
+    },
+
+    // Point the scanner at this mode's targets: the pick list in pick mode, else the search.
+    // Modes share the scanner, so what was found is carried over.
+    applyScannerTargets() {
+      if (this.mode === 'pick') {
+        const items = this.pickList ? this.pickList.items : [];
+        // The items are serials already, not search terms
+        scanner.setTargetMatchers(items.map(item => compileExactTerm(item.serial)));
+        scanner.markFound(items.filter(item => item.status !== 'pending').map(item => item.serial));
+      } else {
+        const found = this.foundSerials.map(match => match.serial);
+        this.targetCount = scanner.setTargetSerials(this.searchInput, { fuzzy: this.settings.fuzzySearch }).count;
+        this.foundSerials = scanner.markFound(found);
+      }
     },
 
     // Update search targets from input
     updateSearchTargets() {
-      this.targetCount = setTargetSerials(this.searchInput);
+      const { count, errors } = scanner.setTargetSerials(this.searchInput, { fuzzy: this.settings.fuzzySearch });
+      this.targetCount = count;
+      this.searchErrors = errors;
       this.foundSerials = [];
+      this.sharedSearch = null;
+      this.updateKnownLocations();
+    },
+
+    // Use a shared search: its targets, with the serials already found marked found
+    loadSharedSearch({ terms, found }) {
+      this.searchInput = terms;
+      this.pickOrder = null;
+      this.shareError = null;
+      this.updateSearchTargets();
+      this.foundSerials = scanner.markFound(found);
+      this.sharedSearch = { count: this.targetCount, found: this.foundSerials.length };
+    },
+
+    // Show the current search as a link and QR code
+    async openShareDialog() {
+      this.shareError = null;
+      this.shareCopied = false;
+      try {
+        const url = buildSearchShareUrl(getPayloadOptions().baseUrl, {
+          terms: this.searchInput,
+          found: this.foundSerials.map(match => match.serial)
+        });
+        this.shareDialog = { url, qr: await renderSearchShareQR(url) };
+      } catch (err) {
+        console.error('Share error:', err);
+        this.shareError = err.message;
+      }
+    },
+
+    // Copy the share link to the clipboard
+    async copyShareLink() {
+      try {
+        await navigator.clipboard.writeText(this.shareDialog.url);
+        this.shareCopied = true;
+      } catch (err) {
+        this.shareError = 'Could not copy the link; select and copy it by hand';
+      }
+    },
+
+    // Load a pick order's serials from the backend as the search list, or into a new pick list
+    async loadPickOrder(target = 'scanner') {
+      if (this.loadingPickOrder) return;
+
+      this.loadingPickOrder = true;
+      this.pickOrderError = null;
+      try {
+        const order = await fetchPickOrder(this.pickOrderId);
+        if (target === 'pick') {
+          this.pickListInput = formatSerialList(order.serials);
+          this.pickListName = order.name ? `${order.id} (${order.name})` : order.id;
+        } else {
+          this.pickOrder = { id: order.id, name: order.name, count: order.serials.length };
+          this.searchInput = formatSearchTerms(order.serials);
+          this.updateSearchTargets();
+        }
+      } catch (err) {
+        this.pickOrderError = err.message;
+      } finally {
+        this.loadingPickOrder = false;
+      }
+    },
+
+    // Send queued events now instead of waiting for the next retry
+    syncNow() {
+      flushSyncQueue();
+    },
+
+    // Drop events that haven't reached the backend
+    clearSyncQueue() {
+      if (!confirm(`Discard ${this.syncStatus.pending} event(s) that haven't been sent?`)) return;
+      clearSyncQueue();
+    },
+
+    // Look up where matching boxes were last put away
+    updateKnownLocations() {
+      const { matchers } = parseSearchTerms(this.searchInput, { fuzzy: this.settings.fuzzySearch });
+      this.knownLocations = matchers.length > 0 ? findBoxLocations(matchers) : [];
+    },
+
+    // Run uploaded photos through the detector and show them with overlays
+    async scanImages(fileList) {
+      const files = Array.from(fileList || []).filter(file => file.type.startsWith('image/'));
+      if (files.length === 0 || this.scanningImages) return;
+
+      this.scanningImages = true;
+      this.scannerError = null;
+      startHistorySession('photos');
+      this.lastSeenLocation = null;
+      try {
+        for (const file of files) {
+          try {
+            const { detections, canvas } = await scanner.scanImage(file);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+            this.imageResults.unshift({
+              id: `${Date.now()}-${file.name}`,
+              name: file.name,
+              url: URL.createObjectURL(blob),
+              serials: detections.filter(d => !d.isLocation).map(d => d.serial),
+              targetCount: detections.filter(d => d.isTarget).length,
+              error: null
+            });
+          } catch (err) {
+            console.error('Image scan error:', err);
+            this.imageResults.unshift({
+              id: `${Date.now()}-${file.name}`,
+              name: file.name,
+              url: null,
+              serials: [],
+              targetCount: 0,
+              error: 'Could not read this image'
+            });
+          }
+        }
+      } finally {
+        this.scanningImages = false;
+      }
+    },
+
+    // Remove scanned photos
+    clearImageResults() {
+      for (const result of this.imageResults) {
+        if (result.url) {
+          URL.revokeObjectURL(result.url);
+        }
+      }
+      this.imageResults = [];
     },
 
     // Reset found serials and border state
     resetSearch() {
-      resetFoundSerials();
+      scanner.resetFoundSerials();
       this.foundSerials = [];
       if (this.targetCount > 0 && this.scannerActive) {
         this.borderState = 'searching';
       }
     },
 
-    // Generate PDF
-    async generatePDF() {
+    // Read a dropped or picked CSV/XLSX file and show the column mapping step
+    async openImport(file, target) {
+      if (!file) return;
+
+      this.importError = null;
+      try {
+        const rows = await readSpreadsheet(file);
+        if (rows.length === 0) {
+          throw new Error('The file has no rows');
+        }
+
+        const hasHeader = detectHeader(rows);
+        this.importState = {
+          target,
+          fileName: file.name,
+          rows,
+          hasHeader,
+          serialColumn: guessSerialColumn(rows, hasHeader),
+          extraColumns: [],
+          append: false
+        };
+      } catch (err) {
+        console.error('Import error:', err);
+        this.importError = `Could not read ${file.name}: ${err.message}`;
+      }
+    },
+
+    // Header row toggled: the serial column may now be named
+    changeImportHeader() {
+      const state = this.importState;
+      state.serialColumn = guessSerialColumn(state.rows, state.hasHeader);
+      state.extraColumns = state.extraColumns.filter(col => col !== state.serialColumn);
+    },
+
+    // Carry a column along as label text, or stop doing so
+    toggleImportColumn(col) {
+      const columns = this.importState.extraColumns;
+      this.importState.extraColumns = columns.includes(col)
+        ? columns.filter(c => c !== col)
+        : [...columns, col].sort((a, b) => a - b);
+    },
+
+    // Put the mapped serials into the generator or search input
+    applyImport() {
+      const { target, append } = this.importState;
+      const { records } = this.importResult;
+      const serials = records.map(record => record.serial);
+
+      if (target === 'generator') {
+        // Quoted where needed, so a cell like "BOX-1..3" stays one label
+        const lines = formatSerialList(serials);
+        this.generatorInput = append && this.generatorInput.trim() ? `${this.generatorInput.trim()}\n${lines}` : lines;
+        const labelFields = append ? { ...this.generatorLabelFields } : {};
+        for (const record of records) {
+          if (Object.keys(record.fields).length > 0) {
+            labelFields[record.serial] = record.fields;
+          }
+        }
+        this.generatorLabelFields = labelFields;
+      } else {
+        // Quoted where needed, so a cell like "A,B" or "BOX*1" matches only itself
+        const lines = formatSearchTerms(serials);
+        this.searchInput = append && this.searchInput.trim() ? `${this.searchInput.trim()}\n${lines}` : lines;
+        this.updateSearchTargets();
+      }
+
+      this.importState = null;
+    },
+
+    // Close the import step without changing anything
+    cancelImport() {
+      this.importState = null;
+    },
+
+    // Computed: column names of the imported file, usable as {placeholders}
+    get generatorFieldNames() {
+      const names = new Set();
+      for (const fields of Object.values(this.generatorLabelFields)) {
+        Object.keys(fields).forEach(name => names.add(name));
+      }
+      return Array.from(names);
+    },
+
+    // Read an uploaded logo image into the label template
+    async setLabelLogo(file) {
+      if (!file) return;
+
+      this.labelLogoError = null;
+      if (!['image/png', 'image/jpeg'].includes(file.type)) {
+        this.labelLogoError = 'The logo must be a PNG or JPEG image';
+        return;
+      }
+      // Stored in localStorage with the settings, which has a small quota
+      if (file.size > MAX_LOGO_BYTES) {
+        this.labelLogoError = `The logo must be smaller than ${MAX_LOGO_BYTES / 1024} KB`;
+        return;
+      }
+
+      try {
+        const dataUrl = await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(file);
+        });
+        const image = new Image();
+        image.src = dataUrl;
+        await image.decode();
+        this.settings.labelLogo = { dataUrl, width: image.naturalWidth, height: image.naturalHeight };
+      } catch (err) {
+        console.error('Logo error:', err);
+        this.labelLogoError = `Could not read ${file.name}`;
+      }
+    },
+
+    // Re-expand generator input into the preview list and error list
+    updateGeneratorPreview(value) {
+      const { serials, errors } = expandSerialInput(value);
+      this.generatorSerials = serials;
+      this.generatorInputErrors = errors;
+    },
+
+    // Apply the selected layout preset or custom layout to the generator
+    applyLayout() {
+      try {
+        const source = this.layoutId === 'custom'
+          ? buildCustomLayout(this.customLayout)
+          : this.layoutId;
+        this.layout = setLayout(source);
+        this.layoutError = null;
+      } catch (err) {
+        this.layoutError = err.message;
+      }
+    },
+
+    // Generate labels in the chosen output format
+    async generateLabels() {
       if (this.generating) return;
 
       const count = this.generatorSerialCount;
@@ -109,26 +856,360 @@ export function initApp() {
         this.generatorError = 'Please enter at least one serial number';
         return;
       }
+      if (this.generatorInputErrors.length > 0) {
+        this.generatorError = 'Please fix the errors in the serial number list';
+        return;
+      }
+      if (this.layoutError) {
+        this.generatorError = 'Please fix the label layout';
+        return;
+      }
 
       this.generating = true;
       this.generatorError = null;
       this.generatorProgress = 0;
       this.generatorTotal = count;
+      generatorAbort = new AbortController();
 
       try {
-        await downloadPDF(this.generatorInput, (current, total) => {
+        await downloadLabels(this.generatorInput, (current, total) => {
           this.generatorProgress = current;
           this.generatorTotal = total;
+        }, {
+          format: this.generatorFormat,
+          labelType: this.generatorLabelType,
+          // Sent to the generation worker, which can't clone Alpine proxies
+          labelFields: Alpine.raw(this.generatorLabelFields),
+          dpi: this.zplDpi,
+          startOffset: this.generatorFormat === 'pdf' ? this.generatorStartOffset : 0,
+          copies: this.generatorCopies,
+          signal: generatorAbort.signal
         });
+
+        recordPrintRun({
+          serials: this.generatorSerials,
+          labelType: this.generatorLabelType,
+          format: this.generatorFormat,
+          labelFields: Alpine.raw(this.generatorLabelFields)
+        });
+        this.printRuns = getPrintRuns();
       } catch (err) {
-        console.error('PDF generation error:', err);
-        this.generatorError = err.message;
+        if (err.name !== 'AbortError') {
+          console.error('Label generation error:', err);
+          this.generatorError = err.message;
+        }
       } finally {
+        generatorAbort = null;
         this.generating = false;
         this.generatorProgress = 0;
       }
     },
 
+    // Stop the running label generation; nothing is downloaded
+    cancelGeneration() {
+      if (generatorAbort) {
+        generatorAbort.abort();
+      }
+    },
+
+    // Pick a previous run to reprint from, with all of its serials selected
+    selectReprintRun(id) {
+      this.reprintRunId = id;
+      this.reprintFilter = '';
+      this.reprintSelected = this.reprintRun ? this.reprintRun.serials.slice() : [];
+    },
+
+    // Select or deselect every serial matching the reprint filter
+    selectReprintMatches(selected) {
+      const matches = new Set(this.reprintMatches);
+      const others = this.reprintSelected.filter(serial => !matches.has(serial));
+      this.reprintSelected = selected ? [...others, ...matches] : others;
+    },
+
+    // Load the selected serials of the picked run into the generator
+    loadReprint() {
+      const run = this.reprintRun;
+      if (!run || this.reprintSelected.length === 0) return;
+
+      // Keep the run's order
+      const selected = new Set(this.reprintSelected);
+      const serials = run.serials.filter(serial => selected.has(serial));
+
+      const labelFields = {};
+      for (const serial of serials) {
+        if (run.labelFields[serial]) {
+          labelFields[serial] = run.labelFields[serial];
+        }
+      }
+
+      this.generatorInput = formatSerialList(serials);
+      this.generatorLabelFields = labelFields;
+      this.generatorLabelType = run.labelType;
+      this.generatorError = null;
+    },
+
+    // Forget the recorded runs
+    clearPrintRuns() {
+      clearPrintRuns();
+      this.printRuns = [];
+      this.selectReprintRun('');
+    },
+
+    // Computed: pick list input, expanded, with malformed entries and duplicates
+    get pickListExpansion() {
+      return expandSerialInput(this.pickListInput);
+    },
+
+    // Computed: count of serials for a new pick list
+    get pickListInputCount() {
+      return this.pickListExpansion.serials.length;
+    },
+
+    // Re-read the pick list after a change
+    refreshPickList() {
+      this.pickList = getPickList();
+      this.pickItems = getOrderedPickItems();
+      this.pickProgress = getPickProgress();
+    },
+
+    // Start a pick list from the input, replacing the current one
+    startPickList() {
+      const { serials, errors } = this.pickListExpansion;
+      // A skipped entry would leave its boxes off the checklist
+      if (errors.length > 0) {
+        this.pickListError = 'Fix the entries listed above first';
+        return;
+      }
+      if (this.pickList && this.pickProgress.confirmed < this.pickProgress.total &&
+        !confirm('Replace the unfinished pick list?')) return;
+
+      this.pickListError = null;
+      try {
+        startPickList(serials, {
+          name: this.pickListName,
+          ordering: this.pickListOrdering
+        });
+      } catch (err) {
+        this.pickListError = err.message;
+        return;
+      }
+
+      this.pickListInput = '';
+      this.pickListName = '';
+      this.refreshPickList();
+      if (this.scannerActive) {
+        this.applyScannerTargets();
+      }
+    },
+
+    // The box was pulled from the shelf
+    confirmPickItem(item) {
+      if (confirmPickItem(item.serial)) {
+        confirmFeedback(getFeedbackOptions());
+        queueSyncEvent('picked', { serial: item.serial, location: item.location, mode: 'pick' });
+        this.refreshPickList();
+      }
+    },
+
+    // Undo a confirmation tapped by mistake
+    unconfirmPickItem(item) {
+      if (unconfirmPickItem(item.serial)) {
+        this.refreshPickList();
+      }
+    },
+
+    // Reorder the checklist
+    changePickOrdering(ordering) {
+      setPickOrdering(ordering);
+      this.refreshPickList();
+    },
+
+    // Close the pick list once done (or abandon it)
+    async finishPickList() {
+      const open = this.pickProgress.total - this.pickProgress.confirmed;
+      if (open > 0 && !confirm(`${open} item(s) aren't confirmed yet. Discard the pick list anyway?`)) return;
+
+      if (this.scannerActive) {
+        await this.stopScanner();
+      }
+      clearPickList();
+      this.refreshPickList();
+    },
+
+    // Computed: audit manifest input, expanded, with malformed entries and duplicates
+    get auditManifest() {
+      return expandSerialInput(this.auditManifestInput);
+    },
+
+    // Computed: count of serials in audit manifest
+    get auditManifestCount() {
+      return this.auditManifest.serials.length;
+    },
+
+    // Start a new audit from the manifest input
+    startAudit() {
+      const { serials: manifest, errors } = this.auditManifest;
+      if (manifest.length === 0) {
+        this.auditError = 'Please enter the expected serial numbers';
+        return;
+      }
+      // A skipped entry would leave its boxes out of the reconciliation
+      if (errors.length > 0) {
+        this.auditError = 'Fix the manifest entries listed above first';
+        return;
+      }
+
+      this.auditError = null;
+      startAudit(manifest, this.auditName);
+      this.auditStarted = isAuditActive();
+      this.auditReport = getAuditReport();
+    },
+
+    // Download the reconciliation report
+    exportAudit(format) {
+      downloadAuditReport(format);
+    },
+
+    // Boxes scanned from now on are recorded at this location
+    setPutawayLocation(code) {
+      if (code === this.putawayLocation) return;
+
+      this.putawayLocation = code;
+      this.putawayError = null;
+      confirmFeedback(getFeedbackOptions());
+    },
+
+    // Record a scanned box at the current location (once per box and location)
+    recordPutaway(serial) {
+      if (!this.putawayLocation) {
+        this.putawayError = 'Scan a location label first';
+        return;
+      }
+
+      const key = `${serial}\n${this.putawayLocation}`;
+      if (this.putawayRecorded.has(key)) return;
+      this.putawayRecorded.add(key);
+
+      const previous = assignBoxLocation(serial, this.putawayLocation);
+      this.putawayLog = [
+        { serial, location: this.putawayLocation, previous, at: Date.now() },
+        ...this.putawayLog
+      ].slice(0, PUTAWAY_LOG_LIMIT);
+      this.putawayError = null;
+      this.assignmentCount = getAssignmentCount();
+      confirmFeedback(getFeedbackOptions());
+    },
+
+    // Boxes currently recorded at the put-away location
+    get putawayLocationBoxes() {
+      // Re-evaluated when the log changes
+      return this.putawayLog && this.putawayLocation ? getBoxesAtLocation(this.putawayLocation) : [];
+    },
+
+    // Start a new put-away session
+    resetPutaway() {
+      this.putawayLocation = null;
+      this.putawayLog = [];
+      this.putawayRecorded = new Set();
+      this.putawayError = null;
+    },
+
+    // Download all recorded box locations
+    exportBoxLocations() {
+      downloadBoxLocations();
+    },
+
+    // Forget all recorded box locations
+    clearBoxLocations() {
+      if (!confirm('Forget the recorded location of every box?')) return;
+
+      clearBoxLocations();
+      this.assignmentCount = 0;
+      this.putawayLog = [];
+      this.putawayRecorded = new Set();
+      this.updateKnownLocations();
+    },
+
+    // Activate the new service worker and reload
+    async applyUpdate() {
+      if (this.scannerActive) {
+        await this.stopScanner();
+      }
+      await this.updateServiceWorker(true);
+    },
+
+    // Query scan history with the current filters
+    async loadHistory() {
+      if (!this.historyAvailable) return;
+
+      const since = this.historySinceDays > 0 ? Date.now() - this.historySinceDays * 24 * 60 * 60 * 1000 : 0;
+      const { matchers } = parseSearchTerms(this.historyFilter, { fuzzy: this.settings.fuzzySearch });
+
+      try {
+        this.historyRecords = await getScanHistory({ matchers, since });
+        this.historySummary = summarizeLastSeen(this.historyRecords);
+        this.historyError = null;
+      } catch (err) {
+        console.error('History error:', err);
+        this.historyError = 'Could not read scan history';
+      }
+    },
+
+    // Download the filtered history
+    exportHistory(format) {
+      downloadHistory(this.historyRecords, format);
+    },
+
+    // Delete all history
+    async clearHistory() {
+      if (!confirm('Delete the whole scan history on this device?')) return;
+
+      await clearHistory();
+      await this.loadHistory();
+    },
+
+    // Delete records beyond the retention period
+    async pruneHistory() {
+      if (!this.historyAvailable) return;
+
+      try {
+        await pruneHistory(Number(this.settings.historyRetentionDays) || 0);
+      } catch (err) {
+        console.warn('Failed to prune scan history:', err);
+      }
+    },
+
+    // Validate and persist the settings form
+    saveSettings() {
+      const namespace = this.settings.namespace.trim();
+      if (!isValidNamespace(namespace)) {
+        this.settingsError = 'Namespace may only contain letters, digits and . _ / - (max 64 characters)';
+        return;
+      }
+      if (this.settings.requireSignature && !this.settings.hmacKey) {
+        this.settingsError = 'Set a signing key before requiring signed labels';
+        return;
+      }
+
+      const syncEndpoint = this.settings.syncEndpoint.trim();
+      if (syncEndpoint && !/^https?:\/\//.test(syncEndpoint)) {
+        this.settingsError = 'Sync endpoint must start with http:// or https://';
+        return;
+      }
+
+      this.settingsError = null;
+      this.settings = updateSettings({ ...this.settings, namespace, syncEndpoint });
+      this.settingsSaved = true;
+      this.pruneHistory();
+      configureSync(getSyncOptions());
+    },
+
+    // Preview found feedback with the current (unsaved) form values
+    testFeedback() {
+      unlockAudio();
+      foundFeedback('BOX-001', getFeedbackOptions(this.settings));
+    },
+
     // Get user-friendly camera error message
     getCameraErrorMessage(err) {
       const message = err.message || err.toString();
@@ -153,12 +1234,22 @@ export function initApp() {
     async switchMode(newMode) {
       if (newMode === this.mode) return;
 
-      // Stop scanner when leaving scanner mode
-      if (this.mode === 'scanner' && this.scannerActive) {
+      // Stop scanner when leaving a camera mode (scanner, pick, audit, put-away)
+      if (this.scannerActive) {
         await this.stopScanner();
       }
 
       this.mode = newMode;
+      this.boxLink = null;
+      navigate(`#/${newMode}`);
+
+      // Put-away may have recorded new locations since the last search
+      if (newMode === 'scanner') {
+        this.updateKnownLocations();
+      }
+      if (newMode === 'history') {
+        await this.loadHistory();
+      }
     }
   }));
 
@@ -0,0 +1,43 @@
+/**
+ * Frame detection: a worker that never answers
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+test('repeated worker timeouts fall back to the main thread', async (t) => {
+  const workers = [];
+  globalThis.Worker = class {
+    constructor() {
+      this.terminated = false;
+      workers.push(this);
+    }
+    postMessage() {} // Never answers, like a worker still loading its WASM
+    terminate() {
+      this.terminated = true;
+    }
+  };
+  globalThis.OffscreenCanvas = class {};
+  globalThis.createImageBitmap = async () => ({ close() {} });
+  t.after(() => {
+    delete globalThis.Worker;
+    delete globalThis.OffscreenCanvas;
+    delete globalThis.createImageBitmap;
+  });
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  t.mock.method(console, 'warn', () => {});
+
+  const { detectVideoFrame, getDetectionMode } = await import('../src/frame-detector.js');
+  const video = { videoWidth: 640, videoHeight: 480 };
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const detection = detectVideoFrame(video).catch(err => err);
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(5000);
+    await detection;
+
+    assert.equal(workers.length, attempt, 'a fresh worker per attempt');
+    assert.ok(workers[attempt - 1].terminated);
+    assert.equal(getDetectionMode(), attempt < 3 ? 'worker' : 'main');
+  }
+});
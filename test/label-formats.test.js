@@ -0,0 +1,31 @@
+/**
+ * ZPL output: QR input mode and text the printer font can't draw
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QRCode from 'qrcode';
+import { getQRMode, renderLabelZPL, ZPL_RESOLUTIONS } from '../src/label-formats.js';
+import { LAYOUT_PRESETS, resolveLayout } from '../src/layouts.js';
+
+const layout = resolveLayout(LAYOUT_PRESETS.a4);
+
+test('the QR code is measured and sent in the same mode', async () => {
+  const cases = [['BOX-0001', 'A', 'BOX-0001'], ['box-ü', 'B', '0006box-ü']];
+  for (const [payload, mode, data] of cases) {
+    assert.equal(getQRMode(payload), mode === 'A' ? 'alphanumeric' : 'byte');
+    const zpl = await renderLabelZPL('BOX-0001', payload, layout);
+    assert.ok(zpl.includes(`^FDMM,${mode}${data}^FS`), zpl);
+  }
+
+  // Magnified to fit the single-mode symbol the printer will build
+  const payload = 'HTTPS://EXAMPLE.COM/S/BOX-0001?x=1';
+  const { size } = QRCode.create([{ data: payload, mode: 'byte' }], { errorCorrectionLevel: 'M' }).modules;
+  const magnification = Math.floor(Math.round(layout.qrSize * ZPL_RESOLUTIONS[203]) / (size + 2));
+  assert.ok((await renderLabelZPL('BOX-0001', payload, layout)).includes(`^BQN,2,${magnification}^`));
+});
+
+test('text the printer font lacks is refused where it cannot be drawn', async () => {
+  await assert.rejects(renderLabelZPL('상자-0001', 'X', layout), /printer font lacks/);
+  assert.ok((await renderLabelZPL('BOÎTE-0001', 'X', layout)).includes('^A0N'));
+});
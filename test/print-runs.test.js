@@ -0,0 +1,59 @@
+/**
+ * Print runs: what survives a reload
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * localStorage stand-in, optionally with a quota in characters
+ */
+function createStorage(quota = Infinity) {
+  const items = new Map();
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      if (String(value).length > quota) {
+        throw new Error('QuotaExceededError');
+      }
+      items.set(key, String(value));
+    },
+    removeItem: key => items.delete(key)
+  };
+}
+
+let reloads = 0;
+
+/**
+ * Import a fresh copy of the module, as a page reload would
+ */
+const reload = () => import(`../src/print-runs.js?reload=${++reloads}`);
+
+test('cleared print history stays cleared after a reload', async (t) => {
+  globalThis.localStorage = createStorage();
+  t.after(() => delete globalThis.localStorage);
+
+  const before = await reload();
+  before.recordPrintRun({ serials: ['BOX-0001'], labelType: 'box', format: 'pdf' });
+  assert.equal((await reload()).getPrintRuns().length, 1);
+
+  before.clearPrintRuns();
+  assert.equal(before.getPrintRuns().length, 0);
+  assert.equal((await reload()).getPrintRuns().length, 0);
+});
+
+test('the oldest runs are dropped when storage is full', async (t) => {
+  const storage = createStorage(400);
+  globalThis.localStorage = storage;
+  t.after(() => delete globalThis.localStorage);
+
+  const printRuns = await reload();
+  for (let i = 1; i <= 4; i++) {
+    printRuns.recordPrintRun({ serials: [`BOX-000${i}`], labelType: 'box', format: 'pdf' });
+  }
+
+  const stored = (await reload()).getPrintRuns();
+  assert.ok(stored.length > 0 && stored.length < 4);
+  assert.deepEqual(stored[0].serials, ['BOX-0004']);
+});
@@ -0,0 +1,19 @@
+/**
+ * Payload signing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateSignature } from '../src/qr-utils.js';
+
+test('a failed key import is retried on the next signature', async (t) => {
+  const importKey = globalThis.crypto.subtle.importKey;
+  const mock = t.mock.method(globalThis.crypto.subtle, 'importKey', async () => {
+    throw new Error('import failed');
+  });
+  await assert.rejects(calculateSignature('BOX-0001', 'ns', 'retry-secret'), /import failed/);
+
+  mock.mock.mockImplementation((...args) => importKey.apply(globalThis.crypto.subtle, args));
+  assert.match(await calculateSignature('BOX-0001', 'ns', 'retry-secret'), /^[0-9a-f]+$/);
+  assert.equal(mock.mock.callCount(), 2);
+});
@@ -0,0 +1,99 @@
+/**
+ * Scanner replay: drives a Scanner through a recorded detection sequence with a manual clock
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scanner } from '../src/scanner.js';
+import { ReplayFrameSource } from '../src/replay-source.js';
+import { createManualClock } from '../src/clock.js';
+import { createQRPayload } from '../src/qr-utils.js';
+import { compileExactTerm } from '../src/target-matcher.js';
+
+async function recording() {
+  const target = await createQRPayload('BOX-0001');
+  const other = await createQRPayload('BOX-0002');
+  return {
+    width: 640,
+    height: 480,
+    frames: [
+      { at: 0, barcodes: [] },
+      { at: 200, barcodes: [{ rawValue: other }] },
+      { at: 400, barcodes: [{ rawValue: target }, { rawValue: 'not a label' }] },
+      { at: 2000, barcodes: [] },
+      { at: 4000, barcodes: [] }
+    ]
+  };
+}
+
+function startReplay(rec) {
+  const clock = createManualClock();
+  const scanner = new Scanner({
+    frameSource: new ReplayFrameSource(rec, { clock }),
+    clock,
+    payloadOptions: {},
+    feedback: false
+  });
+
+  const events = [];
+  for (const type of ['scan', 'found', 'visible', 'border-state', 'stopped']) {
+    scanner.on(type, detail => events.push({ type, at: clock.now(), detail }));
+  }
+  return { clock, scanner, events };
+}
+
+test('replay emits scan, found, visible, border-state and stopped', async () => {
+  const { clock, scanner, events } = startReplay(await recording());
+  scanner.setTargetSerials('BOX-0001');
+  await scanner.start();
+  await clock.advance(5000);
+
+  const of = type => events.filter(event => event.type === type);
+
+  assert.deepEqual(
+    of('scan').map(event => event.detail.serial).filter((serial, i, all) => all.indexOf(serial) === i),
+    ['BOX-0002', 'BOX-0001']
+  );
+  assert.ok(of('scan').every(event => event.detail.isTarget === (event.detail.serial === 'BOX-0001')));
+
+  assert.equal(of('found').length, 1);
+  assert.equal(of('found')[0].detail.serial, 'BOX-0001');
+  assert.deepEqual(of('found')[0].detail.found, [{ serial: 'BOX-0001', term: 'BOX-0001' }]);
+
+  const states = of('border-state').map(event => event.detail.state);
+  assert.deepEqual(states, ['searching', 'found', 'searching', 'idle']);
+
+  const visible = of('visible').map(event => event.detail.visible.map(label => label.serial).sort());
+  assert.deepEqual(visible[0], ['BOX-0002']);
+  assert.ok(visible.some(serials => serials.includes('BOX-0001')));
+  assert.deepEqual(visible[visible.length - 1], []);
+
+  assert.equal(of('stopped').length, 1);
+  assert.equal(scanner.isActive(), false);
+});
+
+test('found targets are reported once and reset with resetFoundSerials', async () => {
+  const rec = await recording();
+  const { clock, scanner, events } = startReplay({ ...rec, frames: rec.frames.slice(0, 3) });
+  scanner.setTargetSerials('BOX-*');
+  await scanner.start();
+  await clock.advance(1000);
+
+  assert.deepEqual(scanner.getFoundMatches().map(match => match.serial), ['BOX-0002', 'BOX-0001']);
+  assert.equal(events.filter(event => event.type === 'found').length, 2);
+
+  scanner.resetFoundSerials();
+  assert.deepEqual(scanner.getFoundMatches(), []);
+  await scanner.stop();
+});
+
+test('exact targets match only the listed serials, whatever characters they hold', async () => {
+  const rec = await recording();
+  const { clock, scanner } = startReplay({ ...rec, frames: rec.frames.slice(0, 3) });
+  assert.equal(scanner.setTargetMatchers(['BOX*', 'A,B', 'BOX-0001'].map(compileExactTerm)), 3);
+  await scanner.start();
+  await clock.advance(1000);
+
+  assert.deepEqual(scanner.getFoundMatches(), [{ serial: 'BOX-0001', term: 'BOX-0001' }]);
+  await scanner.stop();
+});
@@ -0,0 +1,54 @@
+/**
+ * Serial input: ranges, templates and literal (quoted) serials
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandSerialInput, formatSerialList, quoteSerial } from '../src/serial-ranges.js';
+import { mapImportedRows } from '../src/serial-import.js';
+import { generateLabels } from '../src/generator.js';
+import { LAYOUT_PRESETS, resolveLayout } from '../src/layouts.js';
+
+// Cells that would split, expand or fail as plain input
+const SPECIAL = ['A,B', 'BOX-1..BOX-3', 'KIT-{01..02}', 'KIT-{01}', 'say "hi"', ' padded '];
+
+test('ranges, templates and lists still expand', () => {
+  assert.deepEqual(
+    expandSerialInput('BOX-1..BOX-3, KIT-{01..02}\nX').serials,
+    ['BOX-1', 'BOX-2', 'BOX-3', 'KIT-01', 'KIT-02', 'X']
+  );
+});
+
+test('quoted entries are taken literally', () => {
+  const { serials, errors } = expandSerialInput('"A,B", "BOX-1..BOX-3"\n"KIT-{01}"\n"say ""hi"""\nPLAIN');
+  assert.deepEqual(serials, ['A,B', 'BOX-1..BOX-3', 'KIT-{01}', 'say "hi"', 'PLAIN']);
+  assert.deepEqual(errors, []);
+});
+
+test('formatted serials read back unchanged', () => {
+  const serials = [...SPECIAL, 'BOX-0001', 'RACK 2'];
+  assert.deepEqual(expandSerialInput(formatSerialList(serials)).serials, serials);
+  assert.equal(quoteSerial('BOX-0001'), 'BOX-0001');
+});
+
+test('an imported cell with range, list or template characters makes exactly one label', async () => {
+  const rows = [['Serial', 'Owner'], ...SPECIAL.map((serial, i) => [serial, `owner ${i}`])];
+  const { records } = mapImportedRows(rows, { hasHeader: true, serialColumn: 0, extraColumns: [1] });
+  const labelFields = Object.fromEntries(records.map(({ serial, fields }) => [serial, fields]));
+
+  const imported = records.map(record => record.serial);
+  assert.equal(imported.length, SPECIAL.length);
+
+  const input = formatSerialList(imported);
+  assert.deepEqual(expandSerialInput(input).serials, imported);
+
+  const blob = await generateLabels(input, null, resolveLayout(LAYOUT_PRESETS.a4), {
+    format: 'zpl',
+    labelFields,
+    template: { lines: ['{Owner}'] },
+    payloadOptions: {}
+  });
+  const zpl = await blob.text();
+  assert.equal(zpl.match(/\^XA/g).length, SPECIAL.length);
+  imported.forEach((serial, i) => assert.ok(zpl.includes(`owner ${i}`), `imported columns of ${serial}`));
+});
@@ -0,0 +1,121 @@
+/**
+ * Sync queue: batches, retries and changes to the queue or adapter while a batch is being sent
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  setSyncAdapter,
+  queueSyncEvent,
+  flushSyncQueue,
+  clearSyncQueue,
+  getSyncStatus,
+  fetchPickOrder
+} from '../src/sync.js';
+import { parseSearchTerms, matchSerial, formatSearchTerms } from '../src/target-matcher.js';
+
+/**
+ * Adapter whose sends stay open until released, recording what it was given
+ */
+function createHeldAdapter() {
+  const sent = [];
+  const pending = [];
+  return {
+    sent,
+    release: () => pending.splice(0).forEach(resolve => resolve()),
+    sendEvents(events) {
+      sent.push(...events);
+      return new Promise(resolve => pending.push(resolve));
+    },
+    fetchTargets: async () => ({ id: '', name: '', serials: [] })
+  };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('events queued after a clear during a send are kept and delivered', async () => {
+  const adapter = createHeldAdapter();
+  setSyncAdapter(adapter);
+  clearSyncQueue();
+
+  queueSyncEvent('found', { serial: 'BOX-0001' });
+  await settle();
+  assert.equal(adapter.sent.length, 1); // Out, not yet answered
+
+  clearSyncQueue();
+  queueSyncEvent('found', { serial: 'BOX-0002' });
+  queueSyncEvent('found', { serial: 'BOX-0003' });
+  assert.equal(getSyncStatus().pending, 2);
+
+  adapter.release();
+  await settle();
+  assert.deepEqual(adapter.sent.map(event => event.serial), ['BOX-0001', 'BOX-0002', 'BOX-0003']);
+
+  adapter.release();
+  await settle();
+  assert.equal(getSyncStatus().pending, 0);
+  setSyncAdapter(null);
+});
+
+test('an adapter installed during a send takes over the rest of the queue', async () => {
+  const first = createHeldAdapter();
+  setSyncAdapter(first);
+  clearSyncQueue();
+
+  queueSyncEvent('found', { serial: 'BOX-0005' });
+  await settle();
+
+  const second = createHeldAdapter();
+  setSyncAdapter(second);
+  queueSyncEvent('found', { serial: 'BOX-0006' });
+  assert.equal(second.sent.length, 0); // The first send is still out
+
+  first.release();
+  await settle();
+  assert.deepEqual(second.sent.map(event => event.serial), ['BOX-0006']);
+
+  second.release();
+  await settle();
+  assert.equal(getSyncStatus().pending, 0);
+  setSyncAdapter(null);
+});
+
+test('events stay queued through a retryable failure', async () => {
+  let fail = true;
+  const delivered = [];
+  setSyncAdapter({
+    async sendEvents(events) {
+      if (fail) {
+        throw Object.assign(new Error('Backend unreachable'), { retryable: true });
+      }
+      delivered.push(...events);
+    },
+    fetchTargets: async () => ({ id: '', name: '', serials: [] })
+  });
+  clearSyncQueue();
+
+  queueSyncEvent('picked', { serial: 'BOX-0004' });
+  await settle();
+  assert.equal(getSyncStatus().pending, 1);
+  assert.equal(getSyncStatus().retrying, true);
+
+  fail = false;
+  await flushSyncQueue();
+  assert.deepEqual(delivered.map(event => event.serial), ['BOX-0004']);
+  assert.equal(getSyncStatus().pending, 0);
+  setSyncAdapter(null);
+});
+
+test('pick order serials loaded as a search match only themselves', async () => {
+  const serials = ['BOX-0007', 'A,B', 'BOX*', '/x/'];
+  setSyncAdapter({
+    sendEvents: async () => {},
+    fetchTargets: async id => ({ id, name: '', serials })
+  });
+
+  const order = await fetchPickOrder(' PO-1 ');
+  const { matchers } = parseSearchTerms(formatSearchTerms(order.serials));
+  assert.deepEqual(matchers.map(matcher => matcher.term), serials);
+  assert.deepEqual(['A', 'BOX-0001', 'x'].map(serial => matchSerial(matchers, serial)), [null, null, null]);
+  setSyncAdapter(null);
+});
@@ -0,0 +1,61 @@
+/**
+ * Search terms: splitting, wildcards, regular expressions and quoted literals
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchTerms, matchSerial, formatSearchTerms, quoteSearchTerm } from '../src/target-matcher.js';
+import { mapImportedRows } from '../src/serial-import.js';
+
+const termsOf = input => parseSearchTerms(input).matchers.map(matcher => matcher.term);
+
+test('terms are split on newlines and commas', () => {
+  assert.deepEqual(termsOf('BOX-1, BOX-2\nBOX-3,,\n BOX-1 '), ['BOX-1', 'BOX-2', 'BOX-3']);
+});
+
+test('a comma inside a regex term does not split it', () => {
+  const { matchers, errors } = parseSearchTerms('/BOX-\\d{1,3}/, RACK-*\n/^A,B$/i');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(matchers.map(matcher => matcher.term), ['/BOX-\\d{1,3}/', 'RACK-*', '/^A,B$/i']);
+
+  assert.equal(matchSerial(matchers, 'BOX-12'), '/BOX-\\d{1,3}/');
+  assert.equal(matchSerial(matchers, 'a,b'), '/^A,B$/i');
+  assert.equal(matchSerial(matchers, 'RACK-01'), 'RACK-*');
+  assert.equal(matchSerial(matchers, 'SHELF-1'), null);
+});
+
+test('regex terms sit next to other terms on one line', () => {
+  assert.deepEqual(termsOf('/a\\/b/, /c{2,}/g,PLAIN'), ['/a\\/b/', '/c{2,}/g', 'PLAIN']);
+});
+
+test('an invalid regex is reported, not matched', () => {
+  const { matchers, errors } = parseSearchTerms('/BOX-(/');
+  assert.equal(matchers.length, 0);
+  assert.equal(errors[0].term, '/BOX-(/');
+});
+
+test('quoted terms match exactly the text as written', () => {
+  const { matchers, errors } = parseSearchTerms('"A,B", "BOX*1"\n"/x/"\n"say ""hi"""');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(matchers.map(matcher => matcher.type), ['exact', 'exact', 'exact', 'exact']);
+  assert.equal(matchSerial(matchers, 'say "hi"'), 'say "hi"');
+  assert.equal(matchSerial(matchers, 'BOX-1'), null);
+  assert.equal(matchSerial(matchers, 'x'), null);
+});
+
+test('an imported serial matches only itself', () => {
+  const cells = ['A,B', 'BOX*1', 'BOX?', '/x/', 'say "hi"', 'PLAIN'];
+  const rows = [['Serial'], ...cells.map(cell => [cell])];
+  const { records } = mapImportedRows(rows, { hasHeader: true, serialColumn: 0 });
+  const input = formatSearchTerms(records.map(record => record.serial));
+  assert.equal(quoteSearchTerm('PLAIN'), 'PLAIN');
+
+  const { matchers } = parseSearchTerms(input, { fuzzy: true });
+  assert.equal(matchers.length, cells.length);
+  for (const cell of cells) {
+    assert.equal(matchSerial(matchers, cell), cell);
+  }
+  for (const other of ['A', 'B', 'BOX-1', 'BOXY', 'x']) {
+    assert.equal(matchSerial(matchers, other), null, other);
+  }
+});
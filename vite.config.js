@@ -1,4 +1,5 @@
 import { defineConfig } from 'vite';
+import { VitePWA } from 'vite-plugin-pwa';
 
 export default defineConfig({
   root: '.',
@@ -9,5 +10,58 @@ export default defineConfig({
   },
   server: {
     port: 5173
-  }
+  },
+  worker: {
+    // The label worker lazy-loads the PDF font, which needs code splitting
+    format: 'es'
+  },
+  plugins: [
+    VitePWA({
+      // Ask before activating a new version so a running scan isn't interrupted
+      registerType: 'prompt',
+      injectRegister: false,
+      manifest: {
+        name: 'QR Box Finder',
+        short_name: 'Box Finder',
+        description: 'Find boxes by serial number with QR code labels',
+        theme_color: '#007bff',
+        background_color: '#f5f5f5',
+        display: 'standalone',
+        orientation: 'any',
+        // Android and iOS install from the PNGs. Maskable icons are full-bleed (the
+        // launcher applies its own shape), so they are listed separately.
+        icons: [
+          {
+            src: 'icon-192.png',
+            sizes: '192x192',
+            type: 'image/png',
+            purpose: 'any'
+          },
+          {
+            src: 'icon-512.png',
+            sizes: '512x512',
+            type: 'image/png',
+            purpose: 'any'
+          },
+          {
+            src: 'icon-maskable-512.png',
+            sizes: '512x512',
+            type: 'image/png',
+            purpose: 'maskable'
+          },
+          {
+            src: 'icon.svg',
+            sizes: 'any',
+            type: 'image/svg+xml',
+            purpose: 'any'
+          }
+        ]
+      },
+      workbox: {
+        // App shell, the zxing WASM used by the BarcodeDetector polyfill and the PDF label font
+        globPatterns: ['**/*.{js,css,html,svg,wasm,ttf}'],
+        maximumFileSizeToCacheInBytes: 5 * 1024 * 1024
+      }
+    })
+  ]
 });